@@ -0,0 +1,203 @@
+// Alerts Module
+// User-defined alert rules checked on every forecast refresh, and a history of what has fired
+// so the same window never notifies twice. Rules and history are stored in localStorage
+
+class AlertCenter {
+    constructor(scorer) {
+        this.scorer = scorer;
+        this.solunarCalc = scorer.solunarCalc;
+        this.zone = scorer.zone;
+        this.rulesKey = 'huntfish.alertRules';
+        this.historyKey = 'huntfish.alertHistory';
+        this.maxHistory = 100;
+
+        // Rule types and the fields they use
+        //   score:    { minScore, species } - hourly score at or above minScore
+        //   pressure: { minRise }           - 3-hour pressure rise of more than minRise hPa
+        //   solunar:  { period, sunEvent }  - a solunar period ('major' or 'any') overlapping
+        //                                     'sunrise', 'sunset' or 'either'
+        // Every rule also has spotId ('' = the location on screen) and withinHours
+        this.types = {
+            score: 'Score',
+            pressure: 'Pressure rising',
+            solunar: 'Solunar at sunrise/sunset'
+        };
+
+        this.rules = this.load(this.rulesKey);
+        this.history = this.load(this.historyKey);
+    }
+
+    load(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            console.error('Error reading alerts:', error);
+            return [];
+        }
+    }
+
+    saveRules() {
+        localStorage.setItem(this.rulesKey, JSON.stringify(this.rules));
+    }
+
+    saveHistory() {
+        localStorage.setItem(this.historyKey, JSON.stringify(this.history));
+    }
+
+    getRules() {
+        return this.rules;
+    }
+
+    addRule(rule) {
+        const saved = { id: `alert-${Date.now()}`, ...rule };
+        this.rules.push(saved);
+        this.saveRules();
+        return saved;
+    }
+
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.saveRules();
+    }
+
+    // Fired alerts, newest first
+    getHistory() {
+        return this.history;
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.saveHistory();
+    }
+
+    // Windows where a rule matches the forecast for one location.
+    // forecast: { name, latitude, longitude, hourly, profile, context, allowHour(hour) }
+    // Returns [{ ruleId, start, end, message }]
+    evaluate(rule, forecast, now = new Date()) {
+        const until = new Date(now.getTime() + rule.withinHours * 3600000);
+        const currentHour = this.zone.startOfHour(now);
+        const hours = forecast.hourly.filter(hour => hour.time >= currentHour && hour.time <= until);
+
+        if (rule.type === 'score') {
+            const scored = hours
+                .filter(hour => !forecast.allowHour || forecast.allowHour(hour))
+                .map(hour => ({
+                    time: hour.time,
+                    value: this.scorer.scoreHourlyConditions(
+                        hour, hour.time, forecast.latitude, forecast.longitude, forecast.profile, forecast.context
+                    ).totalScore
+                }))
+                .filter(item => item.value >= rule.minScore);
+
+            return this.groupHours(scored).map(group => {
+                const peak = Math.max(...group.map(item => item.value));
+                return this.makeMatch(rule, group, `Score ${peak} for ${forecast.profile.name} at ${forecast.name}`);
+            });
+        }
+
+        if (rule.type === 'pressure') {
+            const rising = hours
+                .filter(hour => hour.pressureTrend && hour.pressureTrend.change > rule.minRise)
+                .map(hour => ({ time: hour.time, value: hour.pressureTrend.change }));
+
+            return this.groupHours(rising).map(group => {
+                const peak = Math.max(...group.map(item => item.value));
+                return this.makeMatch(rule, group, `Pressure rising +${peak.toFixed(1)} hPa/3h at ${forecast.name}`);
+            });
+        }
+
+        if (rule.type === 'solunar') {
+            return this.getSunOverlaps(rule, forecast, currentHour, until).map(period => {
+                const name = period.type === 'major' ? 'Major' : 'Minor';
+                return {
+                    ruleId: rule.id,
+                    start: period.start,
+                    end: period.end,
+                    message: `${name} period overlaps ${period.overlapWith} at ${forecast.name}, ${this.formatRange(period.start, period.end)}`
+                };
+            });
+        }
+
+        return [];
+    }
+
+    // Solunar periods starting in [from, until] that overlap the rule's sun event
+    getSunOverlaps(rule, forecast, from, until) {
+        const periods = [];
+        for (let day = this.zone.startOfDay(from); day <= until; day = this.zone.addDays(day, 1)) {
+            const dayPeriods = this.solunarCalc.getSolunarPeriods(day, forecast.latitude, forecast.longitude).periods;
+            Object.values(dayPeriods).forEach(period => {
+                if (!period || period.start < from || period.start > until) return;
+                if (rule.period === 'major' && period.type !== 'major') return;
+                if (!period.overlapMinutes) return;
+                if (rule.sunEvent !== 'either' && period.overlapWith !== rule.sunEvent) return;
+                periods.push(period);
+            });
+        }
+        return periods.sort((a, b) => a.start - b.start);
+    }
+
+    // Runs of back-to-back hours: [[{ time, value }, ...], ...]
+    groupHours(items) {
+        const groups = [];
+        items.forEach(item => {
+            const group = groups[groups.length - 1];
+            if (group && item.time - group[group.length - 1].time === 3600000) {
+                group.push(item);
+            } else {
+                groups.push([item]);
+            }
+        });
+        return groups;
+    }
+
+    makeMatch(rule, group, label) {
+        const start = group[0].time;
+        const end = new Date(group[group.length - 1].time.getTime() + 3600000);
+        return { ruleId: rule.id, start: start, end: end, message: `${label}, ${this.formatRange(start, end)}` };
+    }
+
+    // Matches whose window hasn't already fired for the same rule. A window that has shrunk
+    // or grown since it fired still overlaps its history entry and stays quiet
+    getNewMatches(matches) {
+        return matches.filter(match => !this.history.some(entry => {
+            return entry.ruleId === match.ruleId &&
+                new Date(entry.start) < match.end && new Date(entry.end) > match.start;
+        }));
+    }
+
+    record(match) {
+        this.history.unshift({
+            ruleId: match.ruleId,
+            start: match.start.toISOString(),
+            end: match.end.toISOString(),
+            message: match.message,
+            firedAt: new Date().toISOString()
+        });
+        this.history = this.history.slice(0, this.maxHistory);
+        this.saveHistory();
+    }
+
+    // "Score ≥ 85 for Whitetail Deer at Caesar Creek within 48 h"
+    describeRule(rule, spotName, speciesName) {
+        const within = `within ${rule.withinHours} h`;
+        if (rule.type === 'score') {
+            return `Score ≥ ${rule.minScore} for ${speciesName} at ${spotName} ${within}`;
+        }
+        if (rule.type === 'pressure') {
+            return `Pressure rising > ${rule.minRise} hPa/3h at ${spotName} ${within}`;
+        }
+        const period = rule.period === 'major' ? 'Major period' : 'Solunar period';
+        const sun = rule.sunEvent === 'either' ? 'sunrise or sunset' : rule.sunEvent;
+        return `${period} overlaps ${sun} at ${spotName} ${within}`;
+    }
+
+    // "Sat, Oct 24, 6:00 AM - 9:00 AM" (the end day is named when the window runs past midnight)
+    formatRange(start, end) {
+        const dayOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+        const options = { hour: 'numeric', minute: '2-digit', hour12: true };
+        const last = new Date(end.getTime() - 1);
+        const endDay = this.zone.isSameDay(last, start) ? '' : `${this.zone.formatDate(last, dayOptions)}, `;
+        return `${this.zone.formatDate(start, dayOptions)}, ${this.zone.formatTime(start, options)} - ${endDay}${this.zone.formatTime(end, options)}`;
+    }
+}
@@ -3,39 +3,1607 @@
 
 class HuntFishApp {
     constructor() {
-        this.weatherAPI = new WeatherAPI();
-        this.solunarCalc = new SolunarCalculator();
-        this.scorer = new HuntFishScorer();
+        // Every time shown and every day boundary is in the location's own time zone
+        this.zone = new ZonedTime();
+        this.providerKey = 'huntfish.weatherProvider';
+        this.weatherAPI = new WeatherAPI(this.getApiOptions());
+        this.geocoder = new Geocoder(this.getGeocoderOptions());
+        this.mapTilesKey = 'huntfish.mapTiles';
+        this.locationMap = new LocationMap('locationMap', localStorage.getItem(this.mapTilesKey));
+        this.waterAPI = new WaterAPI(this.getWaterApiOptions());
+        this.solunarCalc = new SolunarCalculator(this.zone);
+        this.solarCalc = new SolarCalculator(this.zone);
+        this.frontDetector = new FrontDetector(this.zone);
+        this.scorer = new HuntFishScorer(this.zone);
+        this.standPlanner = this.scorer.standPlanner;
+        this.backtester = new Backtester(this.weatherAPI, this.scorer);
+        this.seasonCalendar = new SeasonCalendar(this.zone);
+        this.seasonFilterKey = 'huntfish.seasonFilter';
+        this.seasonFilter = localStorage.getItem(this.seasonFilterKey) === 'true';
+        this.tripPlanner = new TripPlanner(this.scorer, this.solarCalc);
+        this.plannerKey = 'huntfish.planner';
+        this.plannerOptions = this.loadPlannerOptions();
+        this.alertCenter = new AlertCenter(this.scorer);
+        this.ensembleScorer = new EnsembleScorer(this.scorer);
+        this.ensembleKey = 'huntfish.ensemble';
+        this.ensembleEnabled = localStorage.getItem(this.ensembleKey) === 'true';
+        this.modelForecasts = null;
+        this.urlState = new UrlState();
+        this.expandedDay = null; // Day key ("2026-10-24") of the day last opened, for links
+        this.scrollToDay = false;
         
-        this.currentLocation = {
-            city: 'Cincinnati',
-            latitude: 39.1031,
-            longitude: -84.5120
-        };
+        this.locationStore = new LocationStore();
+        this.journal = new CatchJournal(this.weatherAPI.db, this.zone);
+        this.editingEntryId = null;
+        
+        // Reopen the last saved spot (falls back to Cincinnati)
+        this.currentLocation = this.locationStore.getStartLocation();
+        this.zone.setTimeZone(this.currentLocation.timeZone);
         
         this.weatherData = null;
+        this.waterData = null;
+        this.waterError = null;
+        this.gaugeId = ''; // '' = nearest gauge, 'none' = no water data, else a USGS site id
+        this.legalLightTimer = null;
+        this.species = this.scorer.speciesProfiles.defaultId;
+        this.applySpotPreferences(this.locationStore.getActiveSpot());
         
         this.init();
     }
 
-    async init() {
-        // Set up event listeners
-        document.getElementById('updateLocation').addEventListener('click', () => {
-            this.updateLocation();
-        });
+    async init() {
+        // A shared link opens the view it was made from
+        const linked = this.urlState.read();
+        this.restoreView(linked);
+        this.restoreSettings(linked);
+
+        // Back/forward move between locations
+        window.addEventListener('popstate', () => this.restoreFromHistory());
+
+        // Set up event listeners
+        document.getElementById('updateLocation').addEventListener('click', () => {
+            this.updateLocation();
+        });
+
+        // Allow Enter key in location input
+        document.getElementById('locationInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.updateLocation();
+            }
+        });
+
+        // Pin on the map and GPS position
+        this.setupLocationPicker();
+
+        // Species picker re-scores everything already on screen
+        this.populateSpeciesSelect();
+        document.getElementById('speciesSelect').addEventListener('change', (e) => {
+            this.species = e.target.value;
+            this.saveSpotPreferences();
+            this.rescore();
+        });
+
+        // Saved spots: quick switching and side-by-side comparison
+        document.getElementById('locationInput').value = this.currentLocation.city;
+        this.renderSavedSpots();
+        document.getElementById('savedSpots').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.switchSpot(e.target.value);
+            }
+        });
+        document.getElementById('saveSpot').addEventListener('click', () => this.saveCurrentSpot());
+        document.getElementById('removeSpot').addEventListener('click', () => this.removeCurrentSpot());
+        document.getElementById('compareSpots').addEventListener('click', () => this.compareSpots());
+
+        // Link to this view, and a printable brief of it
+        document.getElementById('shareLink').addEventListener('click', () => this.shareView());
+        document.getElementById('printBrief').addEventListener('click', () => this.printTripBrief());
+
+        // Alert rules checked on every refresh
+        this.setupAlerts();
+
+        // Saved stands and their good-wind arcs
+        this.setupStandPlanner();
+
+        // Stream gauge for the water factor
+        this.setupWaterGauge();
+
+        // Catch/harvest journal, and score calibration fitted from it
+        this.setupJournal();
+        this.setupCalibration();
+
+        // Past days and backtests from archived weather
+        this.setupHistory();
+
+        // Editable weights, bands and thresholds
+        this.setupSettings();
+
+        // Open seasons for each forecast day
+        await this.seasonCalendar.load();
+        this.setupSeasonFilter();
+
+        // Best trip windows across the week
+        this.setupPlanner();
+
+        // Load initial data
+        await this.loadData();
+
+        // Refresh data every 15 minutes
+        setInterval(() => this.loadData(), 15 * 60 * 1000);
+    }
+
+    // ?api=http://localhost:8787 points every weather and water request at a local fixture server
+    getApiBase() {
+        const api = new URLSearchParams(window.location.search).get('api');
+        return api ? api.replace(/\/$/, '') : null;
+    }
+
+    // Weather source from settings, plus fixture-server URLs when ?api= is set
+    getApiOptions() {
+        const options = { provider: localStorage.getItem(this.providerKey) || 'open-meteo' };
+        const base = this.getApiBase();
+        if (!base) {
+            return options;
+        }
+        return {
+            ...options,
+            baseUrl: `${base}/v1/forecast`,
+            archiveUrl: `${base}/v1/archive`,
+            nwsUrl: base
+        };
+    }
+
+    getGeocoderOptions() {
+        const base = this.getApiBase();
+        return base ? { searchUrl: `${base}/v1/search`, reverseUrl: `${base}/reverse` } : {};
+    }
+
+    getWaterApiOptions() {
+        const base = this.getApiBase();
+        return base ? { baseUrl: `${base}/nwis/iv/` } : {};
+    }
+
+    // Fill the species picker from the available scoring profiles
+    populateSpeciesSelect() {
+        const select = document.getElementById('speciesSelect');
+        select.innerHTML = this.scorer.speciesProfiles.getAllProfiles()
+            .map(profile => `<option value="${profile.id}">${profile.emoji} ${profile.name}</option>`)
+            .join('');
+        select.value = this.species;
+    }
+
+    // Scoring profile for the selected species (with the user's calibration when switched on)
+    getActiveProfile() {
+        return this.scorer.calibrator.getCalibratedProfile(
+            this.scorer.speciesProfiles.getProfile(this.species),
+            this.scorer.calibrator.locationKey(this.currentLocation)
+        );
+    }
+
+    // Extra scoring context for the selected stand/spot and the loaded gauge readings
+    getScoringContext() {
+        return { stand: this.standPlanner.getActiveStand(), water: this.waterData };
+    }
+
+    // Fill the gauge picker and reload water data when it changes
+    setupWaterGauge() {
+        const select = document.getElementById('waterGauge');
+        select.innerHTML = `
+            <option value="">Nearest gauge</option>
+            ${this.waterAPI.gauges.map(gauge => `<option value="${gauge.id}">${gauge.name}</option>`).join('')}
+            <option value="none">No water data</option>
+        `;
+        select.value = this.gaugeId;
+
+        select.addEventListener('change', async (e) => {
+            this.gaugeId = e.target.value;
+            this.saveSpotPreferences();
+            await this.loadWaterData();
+            this.rescore();
+        });
+    }
+
+    // Latest gauge readings for the current location (none when offline or switched off)
+    async loadWaterData() {
+        this.waterData = null;
+        this.waterError = null;
+
+        if (this.gaugeId === 'none') {
+            this.waterError = 'Water data is switched off for this spot.';
+        } else if (!this.weatherData || this.weatherData.offline) {
+            this.waterError = 'No gauge readings while offline.';
+        } else {
+            try {
+                this.waterData = await this.waterAPI.getWaterData(
+                    this.currentLocation.latitude,
+                    this.currentLocation.longitude,
+                    this.gaugeId || null,
+                    this.weatherData.hourly
+                );
+            } catch (error) {
+                console.error('Error loading water data:', error);
+                this.waterError = 'Could not load gauge readings - the water factor is left out.';
+            }
+        }
+
+        this.renderWater();
+    }
+
+    // Gauge readings, flow trend and muddy-water risk
+    renderWater() {
+        document.getElementById('waterGauge').value = this.gaugeId;
+        const info = document.getElementById('waterInfo');
+        if (!this.waterData) {
+            info.textContent = this.waterError || '--';
+            return;
+        }
+
+        const water = this.waterData;
+        const asOf = this.zone.formatTime(water.readingTime, { hour: 'numeric', minute: '2-digit', hour12: true });
+        const distance = this.gaugeId ? '' : ` · ${water.site.distanceMiles.toFixed(1)} mi away`;
+        info.innerHTML = `
+            <div>${this.waterAPI.describe(water)}</div>
+            <div>Muddy-water risk: ${water.turbidity.risk} (${water.turbidity.rain}" rain in ${this.waterAPI.rainHours}h)</div>
+            <div class="water-asof">As of ${asOf}${distance}</div>
+        `;
+    }
+
+    // Wire up the stand form and list
+    setupStandPlanner() {
+        const options = this.standPlanner.compassPoints
+            .map(point => `<option value="${this.standPlanner.fromCompass(point)}">${point}</option>`)
+            .join('');
+        document.getElementById('standWindFrom').innerHTML = options;
+        document.getElementById('standWindTo').innerHTML = options;
+
+        document.getElementById('addStand').addEventListener('click', () => {
+            const name = document.getElementById('standName').value.trim();
+            if (!name) {
+                alert('Please enter a name for the stand or spot');
+                return;
+            }
+
+            this.standPlanner.addStand(
+                name,
+                Number(document.getElementById('standWindFrom').value),
+                Number(document.getElementById('standWindTo').value),
+                document.getElementById('standKind').value
+            );
+            document.getElementById('standName').value = '';
+            this.renderStands();
+            this.rescore();
+        });
+
+        document.getElementById('standList').addEventListener('change', (e) => {
+            if (e.target.name === 'activeStand') {
+                this.standPlanner.setActiveStand(e.target.value || null);
+                this.saveSpotPreferences();
+                this.renderStands();
+                this.rescore();
+            }
+        });
+
+        document.getElementById('standList').addEventListener('click', (e) => {
+            const removeId = e.target.dataset.remove;
+            if (removeId) {
+                this.standPlanner.removeStand(removeId);
+                this.renderStands();
+                this.rescore();
+            }
+        });
+
+        this.renderStands();
+    }
+
+    // List saved stands with their wind arc and whether the current wind works
+    renderStands() {
+        const activeId = this.standPlanner.activeStandId;
+        const windDirection = this.weatherData ? this.weatherData.current.windDirection : null;
+
+        const rows = this.standPlanner.getStands().map(stand => {
+            const status = windDirection === null ? '' :
+                this.standPlanner.isWindGood(stand, windDirection) ? '✅ Good wind now' : '❌ Wrong wind now';
+            return `
+                <div class="stand-item${stand.id === activeId ? ' active' : ''}">
+                    <label>
+                        <input type="radio" name="activeStand" value="${stand.id}"${stand.id === activeId ? ' checked' : ''}>
+                        ${stand.kind === 'spot' ? '🎣' : '🪵'} <strong>${this.escapeHTML(stand.name)}</strong> (${this.standPlanner.formatArc(stand)})
+                    </label>
+                    <span class="stand-status">${status}</span>
+                    <button class="stand-remove" data-remove="${stand.id}" title="Remove">✕</button>
+                </div>
+            `;
+        });
+
+        document.getElementById('standList').innerHTML = `
+            <div class="stand-item${activeId ? '' : ' active'}">
+                <label>
+                    <input type="radio" name="activeStand" value=""${activeId ? '' : ' checked'}>
+                    Score wind by speed only
+                </label>
+            </div>
+            ${rows.join('')}
+        `;
+    }
+
+    // Re-score the current card, daily cards and any open hourly grids without refetching
+    rescore() {
+        this.updateUrl();
+        if (!this.weatherData) {
+            return;
+        }
+
+        this.updateCurrentConditions();
+        this.updatePlanner();
+        this.updateForecast();
+    }
+
+    // Fill the saved-spot picker
+    renderSavedSpots() {
+        const spots = this.locationStore.getSpots();
+        const select = document.getElementById('savedSpots');
+        select.innerHTML = `<option value="">${spots.length ? '— Saved spots —' : 'No saved spots yet'}</option>` +
+            spots.map(spot => `<option value="${spot.id}">${this.escapeHTML(spot.name)}</option>`).join('');
+        select.value = this.currentLocation.spotId || '';
+        document.getElementById('removeSpot').disabled = !this.currentLocation.spotId;
+
+        const alertSpot = document.getElementById('alertSpot');
+        const chosen = alertSpot.value;
+        alertSpot.innerHTML = '<option value="">Location on screen</option>' +
+            spots.map(spot => `<option value="${spot.id}">${this.escapeHTML(spot.name)}</option>`).join('');
+        alertSpot.value = spots.some(spot => spot.id === chosen) ? chosen : '';
+    }
+
+    // Restore a spot's species and stand choices
+    applySpotPreferences(spot) {
+        if (!spot) return;
+
+        const preferences = spot.preferences || {};
+        if (preferences.species) {
+            this.species = preferences.species;
+        }
+        if (preferences.standId !== undefined) {
+            this.standPlanner.setActiveStand(preferences.standId);
+        }
+        if (preferences.gaugeId !== undefined) {
+            this.gaugeId = preferences.gaugeId;
+        }
+    }
+
+    // Remember the current species, stand and gauge for the active saved spot
+    saveSpotPreferences() {
+        if (!this.currentLocation.spotId) return;
+
+        this.locationStore.updatePreferences(this.currentLocation.spotId, {
+            species: this.species,
+            standId: this.standPlanner.activeStandId,
+            gaugeId: this.gaugeId
+        });
+    }
+
+    async switchSpot(spotId) {
+        const spot = this.locationStore.getSpot(spotId);
+        if (!spot) return;
+
+        this.locationStore.setActiveSpot(spot.id);
+        this.currentLocation = this.locationStore.toLocation(spot);
+        this.applySpotPreferences(spot);
+
+        document.getElementById('locationInput').value = spot.name;
+        document.getElementById('locationMatches').classList.add('hidden');
+        document.getElementById('speciesSelect').value = this.species;
+        this.renderSavedSpots();
+        this.renderStands();
+        this.updateUrl(true);
+
+        await this.loadData();
+    }
+
+    // Location, species, gauge and open day from a link. A link to one of this browser's
+    // saved spots reopens the spot with its stand and preferences
+    restoreView(state) {
+        if (state.location) {
+            const spot = this.locationStore.findSpot(state.location.latitude, state.location.longitude);
+            if (spot) {
+                this.locationStore.setActiveSpot(spot.id);
+                this.currentLocation = this.locationStore.toLocation(spot);
+                this.applySpotPreferences(spot);
+            } else {
+                this.locationStore.setActiveSpot(null);
+                this.currentLocation = {
+                    city: state.location.name || this.geocoder.formatCoordinates(state.location.latitude, state.location.longitude),
+                    latitude: state.location.latitude,
+                    longitude: state.location.longitude
+                };
+            }
+        }
+        if (state.species && this.scorer.speciesProfiles.profiles[state.species]) {
+            this.species = state.species;
+        }
+        if (state.gauge !== undefined) {
+            this.gaugeId = state.gauge;
+        }
+        if (state.day) {
+            this.expandedDay = state.day;
+            this.scrollToDay = true;
+        }
+    }
+
+    // Settings from a link apply to this visit only; saved settings change when a control does
+    restoreSettings(state) {
+        if (state.provider && this.weatherAPI.providers[state.provider]) {
+            this.weatherAPI.setProvider(state.provider);
+        }
+        if (state.ensemble !== undefined) {
+            this.ensembleEnabled = state.ensemble;
+        }
+        if (state.seasonFilter !== undefined) {
+            this.seasonFilter = state.seasonFilter;
+        }
+
+        const planner = state.planner;
+        if (planner.hours !== undefined) {
+            this.plannerOptions.hours = Math.min(12, Math.max(1, planner.hours));
+        }
+        if (planner.minScore !== undefined) {
+            this.plannerOptions.minScore = planner.minScore;
+        }
+        if (planner.weekdaysOnly !== undefined) {
+            this.plannerOptions.weekdaysOnly = planner.weekdaysOnly;
+        }
+        if (planner.evening !== undefined) {
+            this.plannerOptions.afterHour = planner.evening ? 16 : null;
+        }
+    }
+
+    async restoreFromHistory() {
+        this.restoreView(this.urlState.read());
+
+        document.getElementById('locationInput').value = this.currentLocation.city;
+        document.getElementById('locationMatches').classList.add('hidden');
+        document.getElementById('speciesSelect').value = this.species;
+        document.getElementById('waterGauge').value = this.gaugeId;
+        this.renderSavedSpots();
+        this.renderStands();
+
+        await this.loadData();
+    }
+
+    // Everything a link carries (see UrlState.read)
+    getViewState() {
+        return {
+            location: {
+                name: this.currentLocation.city,
+                latitude: this.currentLocation.latitude,
+                longitude: this.currentLocation.longitude
+            },
+            species: this.species,
+            day: this.expandedDay,
+            provider: this.weatherAPI.providerId,
+            ensemble: this.ensembleEnabled,
+            seasonFilter: this.seasonFilter,
+            gauge: this.gaugeId,
+            planner: {
+                hours: this.plannerOptions.hours,
+                minScore: this.plannerOptions.minScore,
+                weekdaysOnly: this.plannerOptions.weekdaysOnly,
+                evening: this.plannerOptions.afterHour !== null
+            }
+        };
+    }
+
+    // Keep the address bar on the view; push = a location change (its own history entry)
+    updateUrl(push = false) {
+        this.urlState.write(this.getViewState(), push);
+    }
+
+    // Share sheet where the browser has one, otherwise copy the link
+    async shareView() {
+        const url = this.urlState.toUrl(this.getViewState());
+        const profile = this.getActiveProfile();
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: `${profile.name} forecast - ${this.currentLocation.city}`, url: url });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.error('Error sharing link:', error);
+            }
+        }
+
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Link copied - it opens this location, species, day and settings.');
+        } catch (error) {
+            prompt('Copy this link:', url);
+        }
+    }
+
+    saveCurrentSpot() {
+        const name = prompt('Name this spot (e.g. Caesar Creek):', this.currentLocation.city);
+        if (!name || !name.trim()) return;
+
+        const spot = this.locationStore.addSpot(
+            name.trim(),
+            this.currentLocation.latitude,
+            this.currentLocation.longitude,
+            { species: this.species, standId: this.standPlanner.activeStandId, gaugeId: this.gaugeId },
+            this.currentLocation.timeZone
+        );
+        this.locationStore.setActiveSpot(spot.id);
+        this.currentLocation = this.locationStore.toLocation(spot);
+        this.renderSavedSpots();
+    }
+
+    removeCurrentSpot() {
+        if (!this.currentLocation.spotId) return;
+
+        this.locationStore.removeSpot(this.currentLocation.spotId);
+        delete this.currentLocation.spotId;
+        this.renderSavedSpots();
+    }
+
+    // Score the next seven days at every saved spot, side by side
+    async compareSpots() {
+        const container = document.getElementById('comparisonData');
+        const spots = this.locationStore.getSpots();
+
+        if (spots.length === 0) {
+            container.innerHTML = '<p class="comparison-note">Save at least one spot to compare.</p>';
+            return;
+        }
+
+        container.innerHTML = '<div class="loading">Loading saved spots...</div>';
+
+        const rows = [];
+        for (const spot of spots) {
+            const profile = this.scorer.calibrator.getCalibratedProfile(
+                this.scorer.speciesProfiles.getProfile(spot.preferences.species),
+                spot.id
+            );
+            const stand = this.standPlanner.getStands().find(s => s.id === spot.preferences.standId) || null;
+            try {
+                const weatherData = await this.weatherAPI.getWeatherData(spot.latitude, spot.longitude);
+                const water = await this.loadSpotWater(spot, profile, weatherData);
+                // Day boundaries in the spot's own zone (its forecast's, if none was saved)
+                const scores = this.inTimeZone(spot.timeZone || weatherData.timezone, () => weatherData.daily.map(day => this.scorer.scoreDailyConditions(
+                    day,
+                    day.date,
+                    spot.latitude,
+                    spot.longitude,
+                    profile,
+                    { stand, water }
+                )));
+                rows.push({ spot, profile, days: weatherData.daily, scores });
+            } catch (error) {
+                console.error(`Error loading ${spot.name}:`, error);
+                rows.push({ spot, profile, days: [], scores: [] });
+            }
+        }
+
+        container.innerHTML = this.formatComparisonTable(rows);
+    }
+
+    // Run a synchronous step with the app's zone switched to another location's, then switch back
+    inTimeZone(timeZone, step) {
+        const current = this.zone.timeZone;
+        this.zone.setTimeZone(timeZone);
+        try {
+            return step();
+        } finally {
+            this.zone.setTimeZone(current);
+        }
+    }
+
+    // Gauge readings for a saved spot's fishing score (null if not fishing, offline or unavailable)
+    async loadSpotWater(spot, profile, weatherData) {
+        const gaugeId = spot.preferences.gaugeId || '';
+        if (!profile.water || gaugeId === 'none' || weatherData.offline) return null;
+
+        try {
+            return await this.waterAPI.getWaterData(spot.latitude, spot.longitude, gaugeId || null, weatherData.hourly);
+        } catch (error) {
+            console.error(`Error loading water data for ${spot.name}:`, error);
+            return null;
+        }
+    }
+
+    // Table of daily scores: one row per spot, best spot per day starred
+    formatComparisonTable(rows) {
+        const days = (rows.find(row => row.days.length) || { days: [] }).days;
+        const best = days.map((day, i) => Math.max(...rows.map(row => row.scores[i] ? row.scores[i].totalScore : -1)));
+
+        const header = days.map((day, i) => {
+            const label = i === 0 ? 'Today' : this.zone.formatDate(day.date, { weekday: 'short', month: 'numeric', day: 'numeric' });
+            return `<th>${label}</th>`;
+        }).join('');
+
+        const body = rows.map(row => {
+            const cells = days.map((day, i) => {
+                const result = row.scores[i];
+                if (!result) return '<td>--</td>';
+                const scoreClass = this.scorer.getScoreClass(result.totalScore);
+                const isBest = result.totalScore === best[i];
+                return `<td class="bg-${scoreClass}${isBest ? ' best' : ''}"><span class="score-${scoreClass}">${result.totalScore}</span>${isBest ? ' ⭐' : ''}</td>`;
+            }).join('');
+            return `<tr><th>${this.escapeHTML(row.spot.name)}<div class="comparison-species">${row.profile.emoji} ${row.profile.name}</div></th>${cells}</tr>`;
+        }).join('');
+
+        return `
+            <table class="comparison-table">
+                <thead><tr><th>Spot</th>${header}</tr></thead>
+                <tbody>${body}</tbody>
+            </table>
+        `;
+    }
+
+    // Wire up the alert form, rule list and history
+    setupAlerts() {
+        const type = document.getElementById('alertType');
+        type.innerHTML = Object.keys(this.alertCenter.types)
+            .map(id => `<option value="${id}">${this.alertCenter.types[id]}</option>`)
+            .join('');
+        type.addEventListener('change', () => this.updateAlertForm());
+        this.updateAlertForm();
+
+        document.getElementById('addAlert').addEventListener('click', () => this.addAlertRule());
+        document.getElementById('enableNotifications').addEventListener('click', () => this.enableNotifications());
+
+        document.getElementById('alertRules').addEventListener('click', (e) => {
+            const removeId = e.target.dataset.remove;
+            if (removeId) {
+                this.alertCenter.removeRule(removeId);
+                this.renderAlerts();
+            }
+        });
+
+        document.getElementById('clearAlertHistory').addEventListener('click', () => {
+            this.alertCenter.clearHistory();
+            this.renderAlerts();
+        });
+
+        this.renderAlerts();
+    }
+
+    // Show the inputs the selected rule type uses
+    updateAlertForm() {
+        const type = document.getElementById('alertType').value;
+        const value = document.getElementById('alertValue');
+
+        document.getElementById('alertValueField').classList.toggle('hidden', type === 'solunar');
+        document.getElementById('alertPeriod').classList.toggle('hidden', type !== 'solunar');
+        document.getElementById('alertSun').classList.toggle('hidden', type !== 'solunar');
+
+        if (type === 'score') {
+            document.getElementById('alertValueName').textContent = 'at least';
+            Object.assign(value, { min: 0, max: 100, step: 1, value: this.scorer.config.values.ratings.excellent });
+        } else if (type === 'pressure') {
+            document.getElementById('alertValueName').textContent = 'by more than (hPa/3h)';
+            Object.assign(value, { min: 0, max: 10, step: 0.5, value: 2 });
+        }
+    }
+
+    addAlertRule() {
+        const type = document.getElementById('alertType').value;
+        const withinHours = parseInt(document.getElementById('alertHours').value, 10);
+        const value = parseFloat(document.getElementById('alertValue').value);
+
+        if (!(withinHours >= 1)) {
+            alert('Please enter how many hours ahead to watch');
+            return;
+        }
+        if (type !== 'solunar' && !Number.isFinite(value)) {
+            alert('Please enter a value for the alert');
+            return;
+        }
+
+        const rule = { type: type, spotId: document.getElementById('alertSpot').value, withinHours: withinHours };
+        if (type === 'score') {
+            rule.minScore = value;
+            rule.species = this.species;
+        } else if (type === 'pressure') {
+            rule.minRise = value;
+        } else {
+            rule.period = document.getElementById('alertPeriod').value;
+            rule.sunEvent = document.getElementById('alertSun').value;
+        }
+
+        this.alertCenter.addRule(rule);
+        this.renderAlerts();
+        if (this.weatherData && !this.weatherData.offline) {
+            this.checkAlerts();
+        }
+    }
+
+    // Rule list, history and notification permission
+    renderAlerts() {
+        const rules = this.alertCenter.getRules().map(rule => {
+            const spot = rule.spotId ? this.locationStore.getSpot(rule.spotId) : null;
+            const spotName = rule.spotId ? (spot ? spot.name : 'a removed spot') : 'the location on screen';
+            const speciesName = rule.species ? this.scorer.speciesProfiles.getProfile(rule.species).name : '';
+            return `
+                <div class="stand-item">
+                    <label>🔔 ${this.escapeHTML(this.alertCenter.describeRule(rule, spotName, speciesName))}</label>
+                    <button class="stand-remove" data-remove="${rule.id}" title="Remove">✕</button>
+                </div>
+            `;
+        });
+        document.getElementById('alertRules').innerHTML = rules.length
+            ? rules.join('')
+            : '<p class="alerts-note">No alerts set up yet.</p>';
+
+        const history = this.alertCenter.getHistory().map(entry => {
+            const firedAt = new Date(entry.firedAt).toLocaleString('en-US', {
+                weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+            });
+            // Messages name the spot, which may have come from a shared link
+            return `<div class="alert-history-entry">${this.escapeHTML(entry.message)}<small>Alerted ${firedAt}</small></div>`;
+        });
+        document.getElementById('alertHistory').innerHTML = history.length
+            ? history.join('')
+            : '<p class="alerts-note">Nothing has alerted yet.</p>';
+
+        this.renderNotificationStatus();
+    }
+
+    renderNotificationStatus() {
+        const status = document.getElementById('notificationStatus');
+        const button = document.getElementById('enableNotifications');
+        const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+
+        button.classList.toggle('hidden', permission !== 'default');
+        status.textContent = {
+            granted: '✅ Browser notifications are on.',
+            denied: 'Notifications are blocked for this page - alerts are listed in the history only.',
+            default: 'Enable notifications to hear about alerts while the app is in the background.',
+            unsupported: 'This browser has no notifications - alerts are listed in the history only.'
+        }[permission];
+    }
+
+    async enableNotifications() {
+        try {
+            await Notification.requestPermission();
+        } catch (error) {
+            console.error('Error requesting notification permission:', error);
+        }
+        this.renderNotificationStatus();
+    }
+
+    // Evaluate every alert rule and notify each window that hasn't alerted before
+    async checkAlerts() {
+        const forecasts = {};
+        let fired = 0;
+
+        for (const rule of this.alertCenter.getRules()) {
+            if (!(rule.spotId in forecasts)) {
+                forecasts[rule.spotId] = await this.getAlertForecast(rule.spotId);
+            }
+            const forecast = forecasts[rule.spotId];
+            if (!forecast) continue;
+
+            const scoring = rule.type === 'score' ? await this.getAlertScoring(rule, forecast) : {};
+            // Hours, days and times in the alert spot's own zone, as in the spot comparison
+            const matches = this.inTimeZone(forecast.timeZone, () => this.alertCenter.evaluate(rule, { ...forecast, ...scoring }));
+            this.alertCenter.getNewMatches(matches).forEach(match => {
+                this.alertCenter.record(match);
+                this.notify(match.message);
+                fired++;
+            });
+        }
+
+        if (fired > 0) {
+            this.renderAlerts();
+        }
+    }
+
+    // Fresh forecast for an alert's spot ('' = the location on screen); null if unavailable
+    async getAlertForecast(spotId) {
+        const spot = spotId ? this.locationStore.getSpot(spotId) : null;
+        if (spotId && !spot) return null;
+
+        if (!spot || spot.id === this.currentLocation.spotId) {
+            return {
+                name: this.currentLocation.city,
+                latitude: this.currentLocation.latitude,
+                longitude: this.currentLocation.longitude,
+                hourly: this.weatherData.hourly,
+                weatherData: this.weatherData,
+                timeZone: this.zone.timeZone,
+                spot: spot
+            };
+        }
+
+        try {
+            const weatherData = await this.weatherAPI.getWeatherData(spot.latitude, spot.longitude);
+            if (weatherData.offline) return null;
+            return {
+                name: spot.name,
+                latitude: spot.latitude,
+                longitude: spot.longitude,
+                hourly: weatherData.hourly,
+                weatherData: weatherData,
+                timeZone: spot.timeZone || weatherData.timezone,
+                spot: spot
+            };
+        } catch (error) {
+            console.error(`Error loading ${spot.name} for alerts:`, error);
+            return null;
+        }
+    }
+
+    // Profile, stand/water context and usable hours for a score rule - the spot's own
+    // stand and gauge, as in the spot comparison
+    async getAlertScoring(rule, forecast) {
+        const location = forecast.spot ? this.locationStore.toLocation(forecast.spot) : this.currentLocation;
+        const profile = this.scorer.calibrator.getCalibratedProfile(
+            this.scorer.speciesProfiles.getProfile(rule.species),
+            this.scorer.calibrator.locationKey(location)
+        );
+
+        let context = this.getScoringContext();
+        if (forecast.spot && forecast.spot.id !== this.currentLocation.spotId) {
+            const preferences = forecast.spot.preferences;
+            context = {
+                stand: this.standPlanner.getStands().find(stand => stand.id === preferences.standId) || null,
+                water: await this.loadSpotWater(forecast.spot, profile, forecast.weatherData)
+            };
+        }
+
+        return {
+            profile: profile,
+            context: context,
+            allowHour: hour => this.isUsableHour(hour, rule.species, profile, location)
+        };
+    }
+
+    // Browser notification (through the service worker where there is one, as mobile
+    // browsers require)
+    async notify(message) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const title = '🔔 Hunt & Fish Forecast';
+        const options = { body: message };
+        try {
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+            } else {
+                new Notification(title, options);
+            }
+        } catch (error) {
+            console.error('Error showing notification:', error);
+        }
+    }
+
+    // Wire up the journal form, filters, export and import
+    setupJournal() {
+        const options = this.scorer.speciesProfiles.getAllProfiles()
+            .filter(profile => profile.id !== this.scorer.speciesProfiles.defaultId)
+            .map(profile => `<option value="${profile.id}">${profile.emoji} ${profile.name}</option>`)
+            .join('');
+        document.getElementById('journalSpecies').innerHTML = options;
+        document.getElementById('journalFilterSpecies').innerHTML = `<option value="">All species</option>${options}`;
+
+        document.getElementById('journalSave').addEventListener('click', () => this.saveJournalEntry());
+        document.getElementById('journalCancel').addEventListener('click', () => this.resetJournalForm());
+
+        ['journalFilterSpecies', 'journalFilterSpot', 'journalFilterFrom', 'journalFilterTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderJournal());
+        });
+
+        document.getElementById('journalList').addEventListener('click', (e) => {
+            if (e.target.dataset.edit) {
+                this.editJournalEntry(e.target.dataset.edit);
+            }
+            if (e.target.dataset.delete && confirm('Delete this journal entry?')) {
+                this.journal.removeEntry(e.target.dataset.delete)
+                    .then(() => this.renderJournal())
+                    .catch(error => {
+                        console.error('Error deleting journal entry:', error);
+                        alert('Could not delete the journal entry.');
+                    });
+            }
+        });
+
+        document.getElementById('journalExportCsv').addEventListener('click', () => this.exportJournal('csv'));
+        document.getElementById('journalExportJson').addEventListener('click', () => this.exportJournal('json'));
+        document.getElementById('journalImport').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importJournal(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+
+        this.resetJournalForm();
+        this.journal.load()
+            .then(() => this.renderJournal())
+            .catch(error => console.error('Error loading journal:', error));
+    }
+
+    resetJournalForm() {
+        this.editingEntryId = null;
+        const species = this.species === this.scorer.speciesProfiles.defaultId ? 'whitetail' : this.species;
+        document.getElementById('journalSpecies').value = species;
+        document.getElementById('journalCount').value = 1;
+        ['journalSize', 'journalMethod', 'journalNotes'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        document.getElementById('journalSave').textContent = '📓 Log It';
+        document.getElementById('journalCancel').classList.add('hidden');
+    }
+
+    // Log a new entry (snapshotting conditions now) or save edits to an existing one
+    async saveJournalEntry() {
+        const fields = {
+            species: document.getElementById('journalSpecies').value,
+            count: document.getElementById('journalCount').value,
+            size: document.getElementById('journalSize').value,
+            method: document.getElementById('journalMethod').value,
+            notes: document.getElementById('journalNotes').value
+        };
+
+        try {
+            if (this.editingEntryId) {
+                await this.journal.updateEntry(this.editingEntryId, fields);
+            } else {
+                fields.spot = await this.getJournalSpot();
+                await this.journal.addEntry(fields, this.takeConditionsSnapshot(fields.species));
+            }
+            this.resetJournalForm();
+            this.renderJournal();
+        } catch (error) {
+            console.error('Error saving journal entry:', error);
+            alert('Could not save the journal entry. Please try again.');
+        }
+    }
+
+    // Conditions right now, scored for the species being logged.
+    // Always the default profile, so calibration fits on comparable factor scores
+    takeConditionsSnapshot(species) {
+        const now = new Date();
+        const { latitude, longitude } = this.currentLocation;
+        const score = this.weatherData
+            ? this.scorer.scoreCurrentConditions(
+                this.weatherData,
+                latitude,
+                longitude,
+                this.scorer.speciesProfiles.getProfile(species),
+                this.getScoringContext()
+            )
+            : null;
+
+        return this.journal.buildSnapshot(
+            this.weatherData,
+            score,
+            this.solunarCalc.getMoonPhase(now),
+            this.solunarCalc.getSolunarState(now, latitude, longitude),
+            this.waterData
+        );
+    }
+
+    // Where the entry was logged: the GPS fix if asked for and available, else the current location
+    async getJournalSpot() {
+        const spot = {
+            name: this.currentLocation.city,
+            spotId: this.currentLocation.spotId || null,
+            latitude: this.currentLocation.latitude,
+            longitude: this.currentLocation.longitude,
+            gps: false
+        };
+
+        if (!document.getElementById('journalGps').checked || !navigator.geolocation) {
+            return spot;
+        }
+
+        try {
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true, timeout: 15000 });
+            });
+            return {
+                ...spot,
+                latitude: position.coords.latitude,
+                longitude: position.coords.longitude,
+                accuracy: Math.round(position.coords.accuracy),
+                gps: true
+            };
+        } catch (error) {
+            console.error('Error getting GPS position:', error);
+            return spot;
+        }
+    }
+
+    editJournalEntry(id) {
+        const entry = this.journal.getEntry(id);
+        if (!entry) return;
+
+        this.editingEntryId = id;
+        document.getElementById('journalSpecies').value = entry.species;
+        document.getElementById('journalCount').value = entry.count;
+        document.getElementById('journalSize').value = entry.size;
+        document.getElementById('journalMethod').value = entry.method;
+        document.getElementById('journalNotes').value = entry.notes;
+        document.getElementById('journalSave').textContent = '💾 Save Changes';
+        document.getElementById('journalCancel').classList.remove('hidden');
+        document.getElementById('journalSpecies').scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    // Current filter values from the journal toolbar
+    getJournalFilter() {
+        return {
+            species: document.getElementById('journalFilterSpecies').value,
+            spotName: document.getElementById('journalFilterSpot').value,
+            from: document.getElementById('journalFilterFrom').value,
+            to: document.getElementById('journalFilterTo').value
+        };
+    }
+
+    renderJournal() {
+        // Keep the spot filter in step with the spots in the journal
+        const spotSelect = document.getElementById('journalFilterSpot');
+        const selectedSpot = spotSelect.value;
+        spotSelect.innerHTML = '<option value="">All spots</option>' +
+            this.journal.getSpotNames().map(name => `<option value="${this.escapeHTML(name)}">${this.escapeHTML(name)}</option>`).join('');
+        spotSelect.value = selectedSpot;
+
+        const entries = this.journal.getEntries(this.getJournalFilter());
+        document.getElementById('journalList').innerHTML = entries.length
+            ? entries.map(entry => this.formatJournalEntry(entry)).join('')
+            : '<p class="journal-empty">No entries yet. Log every trip - skunked days (count 0) teach the scores as much as good ones.</p>';
+    }
+
+    formatJournalEntry(entry) {
+        const profile = this.scorer.speciesProfiles.getProfile(entry.species);
+        const time = this.zone.format(new Date(entry.time), {
+            weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+        });
+        const snapshot = entry.snapshot || {};
+        const score = snapshot.score ? snapshot.score.totalScore : null;
+        const scoreClass = score !== null ? this.scorer.getScoreClass(score) : '';
+
+        const conditions = [];
+        if (snapshot.weather) {
+            conditions.push(`${snapshot.weather.temperature}°F`);
+            if (snapshot.weather.pressure) {
+                conditions.push(`${snapshot.weather.pressure.toFixed(1)} hPa ${snapshot.weather.pressureTrend ? snapshot.weather.pressureTrend.trend : ''}`.trim());
+            }
+            if (typeof snapshot.weather.windSpeed === 'number') {
+                conditions.push(`💨 ${snapshot.weather.windSpeed} mph ${this.standPlanner.toCompass(snapshot.weather.windDirection)}`);
+            }
+        }
+        if (snapshot.moon) {
+            conditions.push(`🌙 ${snapshot.moon.phaseName}`);
+        }
+        if (snapshot.solunar && snapshot.solunar.period) {
+            conditions.push(`${snapshot.solunar.period} period${snapshot.solunar.prime ? ' ⭐' : ''}`);
+        }
+
+        return `
+            <div class="journal-entry">
+                <div class="journal-entry-header">
+                    <strong>${profile.emoji} ${entry.count} × ${profile.name}</strong>
+                    ${entry.size ? `<span>${this.escapeHTML(entry.size)}</span>` : ''}
+                    ${entry.method ? `<span>· ${this.escapeHTML(entry.method)}</span>` : ''}
+                    ${score !== null ? `<span class="journal-score score-${scoreClass}">Score ${score}</span>` : ''}
+                </div>
+                <div class="journal-entry-meta">${time} · 📍 ${this.escapeHTML(entry.spot.name)}${entry.spot.gps ? ' (GPS)' : ''}</div>
+                ${conditions.length ? `<div class="journal-entry-conditions">${conditions.map(item => this.escapeHTML(item)).join(' · ')}</div>` : ''}
+                ${entry.notes ? `<div class="journal-entry-notes">${this.escapeHTML(entry.notes)}</div>` : ''}
+                <div class="journal-entry-actions">
+                    <button data-edit="${this.escapeHTML(entry.id)}">Edit</button>
+                    <button data-delete="${this.escapeHTML(entry.id)}">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Download the filtered entries as CSV or JSON
+    exportJournal(format) {
+        const entries = this.journal.getEntries(this.getJournalFilter());
+        const content = format === 'csv' ? this.journal.toCSV(entries) : this.journal.toJSON(entries);
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `huntfish-journal-${new Date().toISOString().slice(0, 10)}.${format}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importJournal(file) {
+        try {
+            const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+            const entries = this.journal.parseImport(await file.text(), format)
+                .map(entry => ({ ...entry, species: this.matchSpecies(entry.species) }));
+            const archived = await this.addArchivedSnapshots(entries);
+            const imported = await this.journal.importEntries(entries);
+            this.renderJournal();
+            alert(`Imported ${imported} journal ${imported === 1 ? 'entry' : 'entries'}` +
+                (archived ? ` (conditions for ${archived} rebuilt from archived weather).` : '.'));
+        } catch (error) {
+            console.error('Error importing journal:', error);
+            alert('Could not import that file. Use a CSV or JSON export from this app.');
+        }
+    }
+
+    // Imported history has no conditions snapshot - score each outing from archived weather at
+    // its hour so calibration can fit on it. Returns how many entries got one
+    async addArchivedSnapshots(entries) {
+        const missing = entries.filter(entry => entry && !entry.snapshot && entry.species);
+        if (missing.length === 0) return 0;
+
+        // Default profiles, like snapshots taken when logging
+        const getProfile = species => this.scorer.speciesProfiles.getProfile(species);
+        const { rows } = await this.backtester.run(missing, getProfile, this.currentLocation);
+        rows.forEach(row => {
+            row.entry.snapshot = this.journal.buildArchivedSnapshot(row.hour, row.result);
+        });
+        return rows.length;
+    }
+
+    // Species id from an imported value - accepts ids ("whitetail") or names ("Whitetail Deer")
+    matchSpecies(value) {
+        const text = String(value || '').trim().toLowerCase();
+        const profile = this.scorer.speciesProfiles.getAllProfiles().find(profile => {
+            return profile.id === text || profile.name.toLowerCase() === text || profile.name.toLowerCase().includes(text);
+        });
+        return profile && text ? profile.id : text;
+    }
+
+    // Wire up calibration: fit button, on/off switch and the report
+    setupCalibration() {
+        const toggle = document.getElementById('calibrationEnabled');
+        toggle.checked = this.scorer.calibrator.enabled;
+        toggle.addEventListener('change', (e) => {
+            this.scorer.calibrator.setEnabled(e.target.checked);
+            this.rescore();
+        });
+
+        document.getElementById('fitCalibration').addEventListener('click', () => this.fitCalibration());
+        this.renderCalibration();
+    }
+
+    fitCalibration() {
+        const result = this.scorer.calibrator.fitAll(this.journal.getEntries());
+        this.renderCalibration(result);
+        this.rescore();
+    }
+
+    // Report: how much each factor predicted success, and default vs fitted weights
+    renderCalibration(result) {
+        const models = Object.values(this.scorer.calibrator.models);
+        const container = document.getElementById('calibrationReport');
+
+        let summary = '';
+        if (result) {
+            summary = `<p class="calibration-note">Fitted ${models.length} model${models.length === 1 ? '' : 's'} from ${result.usable} journal entries.` +
+                (result.skipped ? ` ${result.skipped} entries have no conditions snapshot (e.g. imported history with no archived weather) and were skipped.` : '') +
+                '</p>';
+        }
+
+        if (models.length === 0) {
+            container.innerHTML = summary + `<p class="calibration-note">Not enough history yet - each species (and each location) needs at least ${this.scorer.calibrator.minEntries} entries with both good and bad outings.</p>`;
+            return;
+        }
+
+        const factorLabels = {
+            temperature: '🌡️ Temperature',
+            pressure: '📊 Pressure',
+            weather: '☁️ Weather',
+            wind: '💨 Wind',
+            solunar: '🌙 Solunar',
+            front: '🌬️ Front',
+            water: '💧 Water'
+        };
+
+        container.innerHTML = summary + models.map(model => {
+            const profile = this.scorer.speciesProfiles.getProfile(model.species);
+            const rows = Object.keys(model.factors).map(name => {
+                const factor = model.factors[name];
+                const correlation = factor.correlation === null ? '--' : factor.correlation.toFixed(2);
+                const means = factor.successMean === null || factor.failureMean === null
+                    ? '--'
+                    : `${Math.round(factor.successMean)} vs ${Math.round(factor.failureMean)}`;
+                return `
+                    <tr>
+                        <td>${factorLabels[name]}</td>
+                        <td>${correlation}</td>
+                        <td>${means}</td>
+                        <td>${this.scorer.formatWeight(factor.defaultWeight)} → ${this.scorer.formatWeight(factor.fittedWeight)}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            const ranges = Object.keys(model.ranges).map(name => {
+                const range = model.ranges[name];
+                return `<li>${factorLabels[name]} sweet spot ${range.shift >= 0 ? '+' : ''}${range.shift} (successes centred on ${range.successMedian.toFixed(1)}, default ${range.defaultCenter.toFixed(1)})</li>`;
+            }).join('');
+
+            return `
+                <div class="calibration-model">
+                    <h3>${profile.emoji} ${profile.name} — ${this.escapeHTML(model.locationName)}</h3>
+                    <p class="calibration-note">${model.sampleSize} entries, ${model.successes} successful · trusting your data ${Math.round(model.trust * 100)}% over the defaults</p>
+                    <table class="calibration-table">
+                        <thead><tr><th>Factor</th><th>Predictive power (r)</th><th>Avg score: success vs not</th><th>Weight: default → yours</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    ${ranges ? `<ul class="calibration-ranges">${ranges}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Wire up the historical day lookup and backtests
+    setupHistory() {
+        // The archive runs a few days behind - default to a week ago
+        const lastWeek = this.zone.addDays(new Date(), -7);
+        document.getElementById('historyDate').value = this.backtester.localDateKey(lastWeek);
+
+        document.getElementById('scoreHistory').addEventListener('click', () => this.showHistoricalDay());
+        document.getElementById('backtestJournal').addEventListener('click', () => {
+            this.runBacktest(this.journal.getEntries(), 'your journal');
+        });
+        document.getElementById('backtestFile').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            e.target.value = '';
+            try {
+                const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+                const outcomes = this.journal.parseImport(await file.text(), format)
+                    .map(outcome => ({ ...outcome, species: this.matchSpecies(outcome.species) }));
+                this.runBacktest(outcomes, file.name);
+            } catch (error) {
+                console.error('Error reading outcomes:', error);
+                alert('Could not read that file. Use CSV or JSON with date, time, location, species and success.');
+            }
+        });
+    }
+
+    // What the app would have scored, hour by hour, on a past date here
+    async showHistoricalDay() {
+        const date = document.getElementById('historyDate').value;
+        const container = document.getElementById('historyData');
+        if (!date) return;
+
+        container.innerHTML = '<div class="loading">Loading archived weather...</div>';
+        try {
+            const result = await this.backtester.scoreDay(
+                date,
+                this.currentLocation.latitude,
+                this.currentLocation.longitude,
+                this.getActiveProfile(),
+                this.getScoringContext()
+            );
+            const scoreClass = this.scorer.getScoreClass(result.dayScore.totalScore);
+            const moonData = this.solunarCalc.getMoonPhase(result.day.date);
+
+            container.innerHTML = `
+                <div class="history-summary">
+                    <div class="forecast-score tooltip-container">
+                        <div class="forecast-score-value score-${scoreClass}">${result.dayScore.totalScore}</div>
+                        <div class="forecast-score-label">Day Score</div>
+                        <div class="tooltip">${this.scorer.generateDailyTooltip(result.dayScore)}</div>
+                    </div>
+                    <div>
+                        <h3>${this.zone.formatDate(result.day.date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}</h3>
+                        <p>${result.day.weatherDescription} ${this.weatherAPI.getWeatherEmoji(result.day.weatherCode)} · 🌡️ ${result.day.tempMin}° - ${result.day.tempMax}°F · ${moonData.emoji} ${moonData.phaseName}</p>
+                    </div>
+                </div>
+                ${this.formatFrontBanners(result.day.fronts)}
+                <div class="hourly-grid" id="historyHourly"></div>
+            `;
+            this.renderHourCards(document.getElementById('historyHourly'), result.day.hours, result.day.date);
+        } catch (error) {
+            console.error('Error loading historical day:', error);
+            container.innerHTML = '<p class="history-note">Could not load archived weather for that date. The archive runs a few days behind today.</p>';
+        }
+    }
+
+    // Score recorded outcomes at the hour they happened and show how well scores tracked them
+    async runBacktest(outcomes, sourceName) {
+        const container = document.getElementById('backtestResults');
+        container.innerHTML = '<div class="loading">Backtesting...</div>';
+
+        const range = {
+            from: document.getElementById('backtestFrom').value,
+            to: document.getElementById('backtestTo').value
+        };
+        const getProfile = (species, spot) => this.scorer.calibrator.getCalibratedProfile(
+            this.scorer.speciesProfiles.getProfile(species),
+            spot ? this.scorer.calibrator.locationKey(spot) : null
+        );
+
+        const result = await this.backtester.run(outcomes, getProfile, this.currentLocation, range);
+        container.innerHTML = this.formatBacktest(result, sourceName);
+    }
+
+    formatBacktest(result, sourceName) {
+        const { summary, skipped } = result;
+        if (summary.count === 0) {
+            return `<p class="history-note">No outcomes from ${this.escapeHTML(sourceName)} could be scored${skipped ? ` (${skipped} skipped - outside the range, missing a date or species, or no archived weather)` : ''}.</p>`;
+        }
+
+        const percent = value => (value === null ? '--' : `${Math.round(value * 100)}%`);
+        const rows = summary.bands.map(band => `
+            <tr>
+                <td class="score-${band.band}">${band.band.charAt(0).toUpperCase() + band.band.slice(1)}</td>
+                <td>${band.count}</td>
+                <td>${band.successes}</td>
+                <td>${percent(band.successRate)}</td>
+            </tr>
+        `).join('');
+
+        const correlation = summary.correlation === null ? '--' : summary.correlation.toFixed(2);
+        const verdict = summary.correlation === null ? '' :
+            summary.correlation >= 0.3 ? '✅ Scores track your results well' :
+            summary.correlation >= 0.1 ? '➖ Scores track your results weakly' :
+            '❌ Scores are not tracking your results - try calibrating';
+
+        return `
+            <p class="history-note">Scored ${summary.count} outcomes from ${this.escapeHTML(sourceName)} (${summary.successes} successful)${skipped ? `, ${skipped} skipped` : ''}.</p>
+            <p><strong>Average score:</strong> ${Math.round(summary.successMean || 0)} when successful vs ${Math.round(summary.failureMean || 0)} when not · <strong>Correlation:</strong> ${correlation}</p>
+            ${verdict ? `<p>${verdict}</p>` : ''}
+            <table class="backtest-table">
+                <thead><tr><th>Score band</th><th>Outings</th><th>Successful</th><th>Success rate</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // Wire up the scoring settings panel
+    setupSettings() {
+        // Weather source, with the others as automatic fallbacks
+        const provider = document.getElementById('weatherProvider');
+        provider.innerHTML = Object.keys(this.weatherAPI.providers)
+            .map(id => `<option value="${id}">${this.weatherAPI.getProviderName(id)}</option>`)
+            .join('');
+        provider.value = this.weatherAPI.providerId;
+        provider.addEventListener('change', () => {
+            localStorage.setItem(this.providerKey, provider.value);
+            this.weatherAPI.setProvider(provider.value);
+            this.loadData();
+        });
+
+        // Confidence bands from several forecast models
+        const ensemble = document.getElementById('ensembleEnabled');
+        ensemble.checked = this.ensembleEnabled;
+        ensemble.addEventListener('change', () => {
+            this.ensembleEnabled = ensemble.checked;
+            localStorage.setItem(this.ensembleKey, String(this.ensembleEnabled));
+            this.loadData();
+        });
+
+        const select = document.getElementById('settingsProfile');
+        select.innerHTML = this.scorer.speciesProfiles.getAllProfiles()
+            .map(profile => `<option value="${profile.id}">${profile.emoji} ${profile.name}</option>`)
+            .join('');
+        select.value = this.species;
+        select.addEventListener('change', () => this.renderSettings());
+
+        // Every setting is an input whose data-path names its place in the config
+        document.getElementById('settingsForm').addEventListener('input', (e) => {
+            const path = e.target.dataset.path;
+            const value = e.target.tagName === 'SELECT' ? e.target.value : Number(e.target.value);
+            if (!path || e.target.value === '' || (typeof value === 'number' && !Number.isFinite(value))) return;
+
+            this.scorer.config.set(path, value);
+            const label = document.querySelector(`[data-show="${path}"]`);
+            if (label) {
+                label.textContent = this.formatSettingValue(value);
+            }
+            this.rescore();
+        });
+
+        document.getElementById('settingsExport').addEventListener('click', () => {
+            const blob = new Blob([this.scorer.config.export()], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'huntfish-scoring-settings.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+
+        document.getElementById('settingsImport').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            e.target.value = '';
+            try {
+                this.scorer.config.import(await file.text());
+                this.renderSettings();
+                this.rescore();
+            } catch (error) {
+                console.error('Error importing scoring settings:', error);
+                alert('Could not import that file. Use a settings export from this app.');
+            }
+        });
+
+        document.getElementById('settingsReset').addEventListener('click', () => {
+            if (!confirm('Reset all scoring settings to the defaults?')) return;
+            this.scorer.config.reset();
+            this.renderSettings();
+            this.rescore();
+        });
+
+        this.renderSettings();
+    }
+
+    // Build the settings form for the chosen species plus the shared settings
+    renderSettings() {
+        const id = document.getElementById('settingsProfile').value;
+        const base = `profiles.${id}`;
+        const config = this.scorer.config;
+        const factorLabels = {
+            temperature: '🌡️ Temperature',
+            pressure: '📊 Pressure',
+            weather: '☁️ Weather',
+            wind: '💨 Wind',
+            solunar: '🌙 Solunar',
+            front: '🌬️ Front',
+            water: '💧 Water'
+        };
+        const hasWater = !!config.get(`${base}.water`);
+        // Phase weight multipliers are in the export; the form covers the band shifts
+        const phases = Object.values(this.scorer.phases.models)
+            .flatMap(model => model.phases)
+            .filter(phase => config.get(`phases.${phase.id}`));
+
+        const weights = Object.keys(config.get(`${base}.weights`)).map(factor => {
+            const path = `${base}.weights.${factor}`;
+            return `
+                <label class="settings-slider">
+                    <span>${factorLabels[factor]}</span>
+                    <input type="range" min="0" max="0.5" step="0.01" data-path="${path}" value="${config.get(path)}">
+                    <span data-show="${path}">${this.formatSettingValue(config.get(path))}</span>
+                </label>
+            `;
+        }).join('');
+
+        const tolerancePath = `${base}.precipitationTolerance`;
+
+        document.getElementById('settingsForm').innerHTML = `
+            <h3>Weights</h3>
+            <p class="settings-note">Relative importance of each factor. Factors that don't apply (no front nearby) drop out and the rest are rescaled.</p>
+            ${weights}
+            <label class="settings-slider">
+                <span>🌧️ Rain tolerance</span>
+                <input type="range" min="0" max="1" step="0.05" data-path="${tolerancePath}" value="${config.get(tolerancePath)}">
+                <span data-show="${tolerancePath}">${this.formatSettingValue(config.get(tolerancePath))}</span>
+            </label>
+
+            <h3>Comfort Bands</h3>
+            <p class="settings-note">Checked in order - the first band containing the value sets the score. With a linear or gaussian curve (Shared Settings) the score slides between bands instead of jumping.</p>
+            <div class="settings-grid">
+                ${this.formatBandSettings(`${base}.temperature`, '🌡️ Temperature (°F)')}
+                ${this.formatBandSettings(`${base}.pressure`, '📊 Pressure (hPa)')}
+                ${this.formatBandSettings(`${base}.wind`, '💨 Wind (mph)')}
+                ${hasWater ? this.formatBandSettings(`${base}.water.temperature`, '💧 Water temperature (°F)') : ''}
+            </div>
+            <div class="settings-row">
+                ${this.settingInput(`${base}.pressure.risingBonus`, 'Rising pressure bonus')}
+                ${this.settingInput(`${base}.pressure.fallingBonus`, 'Falling pressure bonus')}
+                ${this.settingInput(`${base}.pressure.fallingBonusAbove`, 'Falling bonus above (hPa)')}
+            </div>
+            ${hasWater ? `
+                <div class="settings-row">
+                    ${this.settingInput(`${base}.water.flow.rising`, '💧 Rising flow')}
+                    ${this.settingInput(`${base}.water.flow.stable`, 'Stable flow')}
+                    ${this.settingInput(`${base}.water.flow.falling`, 'Falling flow')}
+                    ${this.settingInput(`${base}.water.turbidityPenalty.moderate`, 'Muddy-water risk penalty: moderate')}
+                    ${this.settingInput(`${base}.water.turbidityPenalty.high`, 'high')}
+                </div>
+            ` : ''}
+
+            <h3>Shared Settings (all species)</h3>
+            <div class="settings-grid">
+                <table class="settings-table">
+                    <thead><tr><th colspan="2">☁️ Weather codes</th></tr></thead>
+                    <tbody>
+                        ${config.get('weather.codes').map((code, i) => `
+                            <tr><td>${this.escapeHTML(code.label)}</td><td>${this.settingInput(`weather.codes.${i}.score`)}</td></tr>
+                        `).join('')}
+                        <tr><td>Other codes</td><td>${this.settingInput('weather.fallback')}</td></tr>
+                        <tr><td>Thunderstorms</td><td>${this.settingInput('weather.thunderstormScore')}</td></tr>
+                    </tbody>
+                </table>
+                <table class="settings-table">
+                    <thead><tr><th colspan="2">🌬️ Fronts</th></tr></thead>
+                    <tbody>
+                        <tr><td>Pre-frontal</td><td>${this.settingInput('front.preFrontal')}</td></tr>
+                        <tr><td>Frontal passage</td><td>${this.settingInput('front.frontal')}</td></tr>
+                        <tr><td>Post-frontal (early)</td><td>${this.settingInput('front.postFrontalEarly')}</td></tr>
+                        <tr><td>Early phase lasts (h)</td><td>${this.settingInput('front.postFrontalEarlyHours')}</td></tr>
+                        <tr><td>Post-frontal (later)</td><td>${this.settingInput('front.postFrontalLate')}</td></tr>
+                    </tbody>
+                </table>
+                <table class="settings-table">
+                    <thead><tr><th colspan="2">💨 Wind & 📊 Pressure</th></tr></thead>
+                    <tbody>
+                        ${config.get('wind.gustPenalties').map((step, i) => `
+                            <tr><td>Gusts ${this.settingInput(`wind.gustPenalties.${i}.spread`)} mph over</td><td>−${this.settingInput(`wind.gustPenalties.${i}.penalty`)}</td></tr>
+                        `).join('')}
+                        <tr><td>Wrong wind at a stand keeps</td><td>${this.settingInput('wind.wrongWindFactor.stand', '', 0.05)}</td></tr>
+                        <tr><td>Wrong wind at a fishing spot keeps</td><td>${this.settingInput('wind.wrongWindFactor.spot', '', 0.05)}</td></tr>
+                        <tr><td>Fast pressure fall penalty</td><td>${this.settingInput('pressure.fastFallPenalty')}</td></tr>
+                        <tr><td>Sustained 12h rise (share of bonus)</td><td>${this.settingInput('pressure.sustainedRiseFactor', '', 0.05)}</td></tr>
+                        <tr><td>Use gauge readings for forecast hours within (h)</td><td>${this.settingInput('water.forecastHours')}</td></tr>
+                    </tbody>
+                </table>
+                <table class="settings-table">
+                    <thead><tr><th colspan="2">📈 Curves</th></tr></thead>
+                    <tbody>
+                        <tr><td>🌡️ Air & water temperature</td><td>${this.curveSelect('curves.temperature')}</td></tr>
+                        <tr><td>📊 Pressure</td><td>${this.curveSelect('curves.pressure')}</td></tr>
+                        <tr><td>💨 Wind & gusts</td><td>${this.curveSelect('curves.wind')}</td></tr>
+                        <tr><td>🌬️ Post-frontal recovery</td><td>${this.curveSelect('curves.front', true)}</td></tr>
+                        <tr><td>Day score from hour</td><td>${this.settingInput('daily.startHour')}</td></tr>
+                        <tr><td>to hour</td><td>${this.settingInput('daily.endHour')}</td></tr>
+                    </tbody>
+                </table>
+                <table class="settings-table">
+                    <thead><tr><th colspan="2">🗓️ Rut & spawn: temperature bands slide (°F)</th></tr></thead>
+                    <tbody>
+                        ${phases.map(phase => `
+                            <tr><td>${phase.emoji} ${phase.name}</td><td>${this.settingInput(`phases.${phase.id}.temperatureShift`)}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <table class="settings-table">
+                    <thead><tr><th colspan="2">🎯 Ratings (lowest score)</th></tr></thead>
+                    <tbody>
+                        <tr><td>Excellent</td><td>${this.settingInput('ratings.excellent')}</td></tr>
+                        <tr><td>Good</td><td>${this.settingInput('ratings.good')}</td></tr>
+                        <tr><td>Fair</td><td>${this.settingInput('ratings.fair')}</td></tr>
+                        <tr><td>Models disagree at a spread of</td><td>${this.settingInput('ensemble.lowConfidenceSpread')}</td></tr>
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Min/max/score rows for one band table, plus its fallback score
+    formatBandSettings(path, title) {
+        const table = this.scorer.config.get(path);
+        const rows = table.bands.map((band, i) => `
+            <tr>
+                <td>${this.settingInput(`${path}.bands.${i}.min`, '', 0.5)}</td>
+                <td>${this.settingInput(`${path}.bands.${i}.max`, '', 0.5)}</td>
+                <td>${this.settingInput(`${path}.bands.${i}.score`)}</td>
+            </tr>
+        `).join('');
 
-        // Allow Enter key in location input
-        document.getElementById('locationInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.updateLocation();
-            }
-        });
+        return `
+            <table class="settings-table">
+                <thead>
+                    <tr><th colspan="3">${title}</th></tr>
+                    <tr><th>From</th><th>To</th><th>Score</th></tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                    <tr><td colspan="2">Anything else</td><td>${this.settingInput(`${path}.fallback`)}</td></tr>
+                </tbody>
+            </table>
+        `;
+    }
 
-        // Load initial data
-        await this.loadData();
+    // Number input bound to a config path
+    settingInput(path, label, step) {
+        const input = `<input type="number" class="settings-input" step="${step || 1}" data-path="${path}" value="${this.escapeHTML(this.scorer.config.get(path))}">`;
+        return label ? `<label>${label} ${input}</label>` : input;
+    }
 
-        // Refresh data every 15 minutes
-        setInterval(() => this.loadData(), 15 * 60 * 1000);
+    // Curve picker bound to a config path (the front recovery has no bell shape)
+    curveSelect(path, linearOnly) {
+        const current = this.scorer.config.get(path);
+        const curves = linearOnly ? ['steps', 'linear'] : ['steps', 'linear', 'gaussian'];
+        const options = curves.map(curve => {
+            return `<option value="${curve}" ${curve === current ? 'selected' : ''}>${curve[0].toUpperCase()}${curve.slice(1)}</option>`;
+        }).join('');
+        return `<select class="settings-input" data-path="${path}">${options}</select>`;
+    }
+
+    // Slider readout: weights and tolerance as percentages
+    formatSettingValue(value) {
+        return this.scorer.formatWeight(value);
     }
 
     async updateLocation() {
@@ -48,42 +1616,233 @@ class HuntFishApp {
 
         this.showLoading();
 
+        let matches;
         try {
-            const coords = await this.weatherAPI.getCoordinates(cityInput);
-            this.currentLocation = {
-                city: `${coords.name}${coords.state ? ', ' + coords.state : ''}`,
-                latitude: coords.latitude,
-                longitude: coords.longitude
-            };
-
-            await this.loadData();
+            matches = await this.geocoder.search(cityInput);
         } catch (error) {
             console.error('Error updating location:', error);
-            alert('Could not find location. Please try a different city name.');
+            alert('Could not look up that location. Check your connection and try again.');
+            this.hideLoading();
+            return;
+        }
+
+        if (matches.length === 0) {
+            alert(`Could not find "${cityInput}" in ${this.geocoder.region}. Please try a different city name, or drop a pin on the map.`);
+            this.hideLoading();
+            return;
+        }
+
+        // One match goes straight there; several ("Franklin") are listed to choose from
+        if (matches.length === 1) {
+            await this.setLocation(this.toLocation(matches[0]));
+        } else {
+            this.hideLoading();
+            this.renderLocationMatches(matches);
+        }
+    }
+
+    // { city, latitude, longitude, timeZone } for a geocoding match
+    toLocation(match) {
+        return {
+            city: `${match.name}${match.state ? ', ' + match.state : ''}`,
+            latitude: match.latitude,
+            longitude: match.longitude,
+            timeZone: match.timeZone
+        };
+    }
+
+    renderLocationMatches(matches) {
+        const list = document.getElementById('locationMatches');
+        list.innerHTML = `
+            <p>Several places match - pick one:</p>
+            ${matches.map((match, index) => `<button data-index="${index}">${this.escapeHTML(match.label)}</button>`).join('')}
+        `;
+        list.querySelectorAll('button').forEach(button => {
+            button.addEventListener('click', () => this.setLocation(this.toLocation(matches[Number(button.dataset.index)])));
+        });
+        list.classList.remove('hidden');
+    }
+
+    // Show a searched, pinned or GPS location (not a saved spot)
+    async setLocation(location) {
+        this.currentLocation = location;
+        this.locationStore.setActiveSpot(null);
+        this.renderSavedSpots();
+        document.getElementById('locationInput').value = location.city;
+        document.getElementById('locationMatches').classList.add('hidden');
+        this.updateUrl(true);
+
+        await this.loadData();
+    }
+
+    // Map panel, GPS button and the map tile setting
+    setupLocationPicker() {
+        this.locationMap.onPick = (latitude, longitude) => this.pickPoint(latitude, longitude);
+
+        const panel = document.getElementById('mapPanel');
+        panel.addEventListener('toggle', () => {
+            if (!panel.open) return;
+            const available = this.locationMap.show();
+            document.getElementById('locationMap').classList.toggle('hidden', !available);
+            document.getElementById('mapUnavailable').classList.toggle('hidden', available);
+        });
+
+        document.getElementById('useGps').addEventListener('click', () => this.useMyLocation());
+
+        const tiles = document.getElementById('mapTiles');
+        tiles.value = localStorage.getItem(this.mapTilesKey) || '';
+        tiles.placeholder = this.locationMap.defaultTileUrl;
+        tiles.addEventListener('change', () => {
+            const url = tiles.value.trim();
+            if (url) {
+                localStorage.setItem(this.mapTilesKey, url);
+            } else {
+                localStorage.removeItem(this.mapTilesKey);
+            }
+            this.locationMap.setTileUrl(url);
+        });
+    }
+
+    // A point from the map or GPS, named by reverse geocoding (public land has no city name)
+    async pickPoint(latitude, longitude) {
+        this.showLoading();
+        const place = await this.geocoder.reverse(latitude, longitude);
+        await this.setLocation({
+            city: `${place.name}${place.state ? ', ' + place.state : ''}`,
+            latitude: latitude,
+            longitude: longitude
+        });
+    }
+
+    async useMyLocation() {
+        if (!navigator.geolocation) {
+            alert('This browser cannot share its position.');
+            return;
+        }
+
+        this.showLoading();
+        try {
+            const position = await new Promise((resolve, reject) => {
+                navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true, timeout: 15000 });
+            });
+            await this.pickPoint(position.coords.latitude, position.coords.longitude);
+        } catch (error) {
+            console.error('Error getting GPS position:', error);
+            alert('Could not get your position. Check that location access is allowed.');
             this.hideLoading();
         }
     }
 
     async loadData() {
         this.showLoading();
+        // A location's zone is known once its first forecast arrives; until then, the browser's
+        this.zone.setTimeZone(this.currentLocation.timeZone);
+        this.locationMap.setPin(this.currentLocation.latitude, this.currentLocation.longitude, this.currentLocation.city);
 
         try {
-            // Fetch weather data
+            // Fetch weather data (the last stored forecast when offline)
             this.weatherData = await this.weatherAPI.getWeatherData(
                 this.currentLocation.latitude,
                 this.currentLocation.longitude
             );
+            this.currentLocation.timeZone = this.weatherData.timezone;
+            if (this.currentLocation.spotId) {
+                this.locationStore.setTimeZone(this.currentLocation.spotId, this.weatherData.timezone);
+            }
+            this.zone.setTimeZone(this.weatherData.timezone);
+            this.modelForecasts = await this.loadModelForecasts();
+            await this.loadWaterData();
 
             // Update UI
             this.updateCurrentConditions();
+            this.updatePlanner();
             this.updateForecast();
-
-            this.hideLoading();
+            this.renderStands();
+            this.updateDataBanner();
         } catch (error) {
             console.error('Error loading data:', error);
-            alert('Error loading weather data. Please try again.');
-            this.hideLoading();
+
+            // No connection and nothing stored for this spot - moon, sun and
+            // legal light are calculated locally, so keep showing those
+            this.weatherData = null;
+            this.modelForecasts = null;
+            await this.loadWaterData();
+            this.clearWeatherDisplay();
+            this.updateSkyConditions();
+            this.renderStands();
+            this.showDataBanner('📴 No connection and no saved forecast for this location yet. Moon, sun and legal light times below are still current.', 'error');
+        }
+
+        this.hideLoading();
+        this.updateUrl();
+
+        // Alerts only look at fresh forecasts, never the offline copy
+        if (this.weatherData && !this.weatherData.offline) {
+            await this.checkAlerts();
+        }
+    }
+
+    // Forecasts from several models for the confidence bands, when switched on. Not kept
+    // offline - without them the cards just show no band
+    async loadModelForecasts() {
+        if (!this.ensembleEnabled || this.weatherData.offline) {
+            return null;
+        }
+        try {
+            return await this.weatherAPI.getModelForecasts(
+                this.currentLocation.latitude,
+                this.currentLocation.longitude
+            );
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // "Data as of" banner when the forecast came from the offline store, or a note when the
+    // chosen weather source failed and a fallback filled in
+    updateDataBanner() {
+        if (this.weatherData && this.weatherData.fallback) {
+            const primary = this.weatherAPI.getProviderName(this.weatherAPI.providerId);
+            const used = this.weatherAPI.getProviderName(this.weatherData.provider);
+            this.showDataBanner(`⚠️ ${primary} is unavailable - showing the ${used} forecast.`, 'stale');
+            return;
+        }
+
+        if (!this.weatherData || !this.weatherData.offline) {
+            this.hideDataBanner();
+            return;
         }
+
+        const fetchedAt = this.weatherData.fetchedAt;
+        const asOf = this.zone.format(fetchedAt, {
+            weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+        });
+        const age = this.solarCalc.formatCountdown(Date.now() - fetchedAt.getTime());
+        this.showDataBanner(`📴 Offline — weather data as of ${asOf} (${age} ago). Moon, sun and legal light times are live.`, 'stale');
+    }
+
+    showDataBanner(message, type) {
+        const banner = document.getElementById('dataBanner');
+        banner.textContent = message;
+        banner.className = `data-banner data-banner-${type}`;
+    }
+
+    hideDataBanner() {
+        document.getElementById('dataBanner').className = 'data-banner hidden';
+    }
+
+    // Blank out weather-based readings when there is no forecast to show
+    clearWeatherDisplay() {
+        const scoreElement = document.getElementById('currentScore');
+        scoreElement.textContent = '--';
+        scoreElement.className = 'score-value';
+        ['recommendationTitle', 'recommendationText', 'temperature', 'weatherDesc', 'windInfo', 'pressure', 'pressureTrend']
+            .forEach(id => {
+                document.getElementById(id).textContent = '--';
+            });
+        document.getElementById('analysisList').innerHTML = '';
+        document.getElementById('plannerResults').innerHTML = '';
+        document.getElementById('forecastData').innerHTML = '';
     }
 
     showLoading() {
@@ -102,14 +1861,9 @@ class HuntFishApp {
         const score = this.scorer.scoreCurrentConditions(
             this.weatherData,
             this.currentLocation.latitude,
-            this.currentLocation.longitude
-        );
-
-        const moonData = this.solunarCalc.getMoonPhase(new Date());
-        const solunarPeriods = this.solunarCalc.getSolunarPeriods(
-            new Date(),
-            this.currentLocation.latitude,
-            this.currentLocation.longitude
+            this.currentLocation.longitude,
+            this.getActiveProfile(),
+            this.getScoringContext()
         );
 
         // Update score display with tooltip
@@ -135,23 +1889,63 @@ class HuntFishApp {
         tooltip.innerHTML = this.scorer.generateCurrentTooltip(score);
         scoreCircle.appendChild(tooltip);
 
-        // Update recommendation
-        document.getElementById('recommendationTitle').textContent = score.recommendation.title;
-        document.getElementById('recommendationText').textContent = score.recommendation.description;
+        // Update recommendation - unless the selected species is out of season today
+        const now = new Date();
+        if (this.seasonCalendar.isInSeason(this.species, now)) {
+            document.getElementById('recommendationTitle').textContent = score.recommendation.title;
+            document.getElementById('recommendationText').textContent = score.recommendation.description;
+        } else {
+            const next = this.seasonCalendar.getNextOpening(this.species, now);
+            const opens = next
+                ? ` Next opening: ${this.zone.formatDate(next, { weekday: 'short', month: 'short', day: 'numeric' })}.`
+                : '';
+            document.getElementById('recommendationTitle').textContent = `🚫 No ${score.profile.name} season open today`;
+            document.getElementById('recommendationText').textContent =
+                `Conditions score ${score.totalScore}/100 (${score.recommendation.rating}), but there is no open season for ${score.profile.name} today.${opens}`;
+        }
+
+        // Factor-by-factor analysis (worded for the rut or spawn phase when there is one)
+        document.getElementById('analysisList').innerHTML = score.details.map(line => `<li>${line}</li>`).join('');
 
         // Update weather info
         document.getElementById('temperature').textContent = 
             `${this.weatherData.current.temperature}°F`;
         document.getElementById('weatherDesc').textContent = 
             `${this.weatherAPI.getWeatherEmoji(this.weatherData.current.weatherCode)} ${this.weatherData.current.weatherDescription}`;
+        const current = this.weatherData.current;
+        document.getElementById('windInfo').textContent = current.windSpeed === null
+            ? '💨 No wind data'
+            : `💨 ${current.windSpeed} mph ${this.standPlanner.toCompass(current.windDirection)} (gusts ${current.windGust})`;
 
-        // Update pressure info
+        // Update pressure info (some weather sources don't forecast pressure)
+        if (this.weatherData.current.pressure === null) {
+            document.getElementById('pressure').textContent = '--';
+            document.getElementById('pressureTrend').textContent =
+                `No pressure data from ${this.weatherAPI.getProviderName(this.weatherData.provider)}`;
+            this.updateSkyConditions();
+            return;
+        }
         document.getElementById('pressure').textContent = 
             `${this.weatherData.current.pressure.toFixed(1)} hPa`;
-        const trendIcon = this.weatherData.current.pressureTrend.trend === 'rising' ? '📈' : 
-                         this.weatherData.current.pressureTrend.trend === 'falling' ? '📉' : '➡️';
-        document.getElementById('pressureTrend').textContent = 
-            `${trendIcon} ${this.weatherData.current.pressureTrend.trend} (${this.weatherData.current.pressureTrend.change} hPa/3h)`;
+        const pressureTrend = this.weatherData.current.pressureTrend;
+        const trendIcon = pressureTrend.trend === 'rising' ? '📈' : 
+                         pressureTrend.trend === 'falling' ? '📉' : '➡️';
+        document.getElementById('pressureTrend').innerHTML = `
+            <div>${trendIcon} ${pressureTrend.category}${pressureTrend.change === null ? '' : ` (${this.formatPressureChange(pressureTrend.change)} hPa/3h)`}</div>
+            <div class="pressure-tendencies">${this.formatPressureTendencies(pressureTrend.tendencies)}</div>
+        `;
+
+        this.updateSkyConditions();
+    }
+
+    // Moon, solunar, sun and legal light - all calculated locally, so they work offline
+    updateSkyConditions() {
+        const moonData = this.solunarCalc.getMoonPhase(new Date());
+        const solunarPeriods = this.solunarCalc.getSolunarPeriods(
+            new Date(),
+            this.currentLocation.latitude,
+            this.currentLocation.longitude
+        );
 
         // Update moon info
         document.getElementById('moonPhase').textContent = 
@@ -162,6 +1956,138 @@ class HuntFishApp {
         // Update solunar periods
         const periodsHTML = this.formatSolunarPeriods(solunarPeriods);
         document.getElementById('solunarPeriods').innerHTML = periodsHTML;
+
+        // Update sun times and legal light countdown
+        this.updateSunTimes();
+        this.startLegalLightCountdown();
+    }
+
+    // Text typed, imported or taken from a link, safe to put in innerHTML
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Signed pressure change, e.g. "+1.8"
+    formatPressureChange(change) {
+        return `${change > 0 ? '+' : ''}${Number(change).toFixed(1)}`;
+    }
+
+    // "1h +0.3 · 3h +1.8 · 6h +2.9 · 12h +4.1"
+    formatPressureTendencies(tendencies) {
+        return Object.keys(tendencies)
+            .map(hours => `${hours}h ${this.formatPressureChange(tendencies[hours].change)}`)
+            .join(' · ');
+    }
+
+    // Sunrise/sunset and twilight for today
+    updateSunTimes() {
+        document.getElementById('sunTimes').innerHTML = this.formatSunTimes(new Date());
+    }
+
+    formatSunTimes(date) {
+        const sunTimes = this.solarCalc.getSunTimes(
+            date,
+            this.currentLocation.latitude,
+            this.currentLocation.longitude
+        );
+        const options = { hour: 'numeric', minute: '2-digit', hour12: true };
+        const format = time => time ? this.zone.formatTime(time, options) : '--';
+
+        return `
+            <div>🌅 Sunrise ${format(sunTimes.sunrise)} · 🌇 Sunset ${format(sunTimes.sunset)}</div>
+            <div>Civil twilight ${format(sunTimes.civilDawn)} - ${format(sunTimes.civilDusk)}</div>
+            <div>Nautical twilight ${format(sunTimes.nauticalDawn)} - ${format(sunTimes.nauticalDusk)}</div>
+        `;
+    }
+
+    // One-page brief for the open day (or today): its score, the week's best windows, solunar
+    // periods and sun times, with the link back to this view. Printed on its own (styles.css)
+    printTripBrief() {
+        if (!this.weatherData) {
+            alert('No forecast loaded yet - the trip brief is built from the forecast.');
+            return;
+        }
+
+        const latitude = this.currentLocation.latitude;
+        const longitude = this.currentLocation.longitude;
+        const profile = this.getActiveProfile();
+        const days = this.weatherData.daily;
+        const day = days.find(item => this.zone.dayKey(item.date) === this.expandedDay) || days[0];
+
+        const score = this.scorer.scoreDailyConditions(day, day.date, latitude, longitude, profile, this.getScoringContext());
+        const recommendation = this.scorer.getRecommendation(score.totalScore);
+        const inSeason = this.seasonCalendar.isInSeason(this.species, day.date);
+        const moonData = this.solunarCalc.getMoonPhase(day.date);
+        const solunar = this.solunarCalc.getSolunarPeriods(day.date, latitude, longitude);
+        const windows = this.findPlannerWindows().slice(0, 5);
+
+        const legalHours = profile.activity === 'fish' ? null : this.solarCalc.getLegalShootingHours(day.date, latitude, longitude);
+        const timeOptions = { hour: 'numeric', minute: '2-digit', hour12: true };
+        const legalLine = legalHours
+            ? `<div>⚖️ Legal shooting light ${this.zone.formatTime(legalHours.start, timeOptions)} - ${this.zone.formatTime(legalHours.end, timeOptions)}</div>`
+            : '';
+
+        document.getElementById('tripBrief').innerHTML = `
+            <h1>${profile.emoji} ${profile.name} Trip Brief - ${this.escapeHTML(this.currentLocation.city)}</h1>
+            <p class="brief-meta">${this.zone.formatDate(day.date, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}</p>
+            <div class="brief-score">
+                <div class="forecast-score-value score-${recommendation.rating}">${score.totalScore}</div>
+                <div>
+                    <h2>${inSeason ? recommendation.title : `🚫 No ${profile.name} season open`}</h2>
+                    <p>${day.weatherDescription} ${this.weatherAPI.getWeatherEmoji(day.weatherCode)} · 🌡️ ${day.tempMin}° - ${day.tempMax}°F · 💨 ${day.windSpeedMax} mph · 🌧️ ${day.precipitationProb}%</p>
+                </div>
+            </div>
+            ${this.formatFrontBanners(day.fronts)}
+            ${this.formatSeasonTags(this.seasonCalendar.getOpenSeasons(day.date))}
+            <h3>Top Windows This Week</h3>
+            ${windows.length
+                ? windows.map((trip, i) => this.formatPlannerWindow(trip, i + 1)).join('')
+                : `<p>No ${this.plannerOptions.hours}-hour window for ${profile.name} matches the planner options this week.</p>`}
+            <h3>Solunar Periods · ${moonData.emoji} ${moonData.phaseName}</h3>
+            ${this.formatSolunarPeriods(solunar)}
+            <h3>Sun</h3>
+            ${this.formatSunTimes(day.date)}
+            ${legalLine}
+            <p class="brief-link">${this.escapeHTML(this.urlState.toUrl(this.getViewState()))}</p>
+        `;
+
+        document.body.classList.add('print-brief');
+        window.addEventListener('afterprint', () => document.body.classList.remove('print-brief'), { once: true });
+        window.print();
+    }
+
+    // Legal shooting light countdown (ticks once a minute)
+    startLegalLightCountdown() {
+        if (this.legalLightTimer) {
+            clearInterval(this.legalLightTimer);
+        }
+
+        this.updateLegalLight();
+        this.legalLightTimer = setInterval(() => this.updateLegalLight(), 60 * 1000);
+    }
+
+    updateLegalLight() {
+        const now = new Date();
+        const status = this.solarCalc.getLegalLightStatus(
+            now,
+            this.currentLocation.latitude,
+            this.currentLocation.longitude
+        );
+        const element = document.getElementById('legalLight');
+
+        if (!status.nextChange) {
+            element.textContent = 'No legal light';
+        } else if (status.isLegal) {
+            element.textContent = `✅ Ends in ${this.solarCalc.formatCountdown(status.nextChange - now)}`;
+        } else {
+            element.textContent = `⏳ Starts in ${this.solarCalc.formatCountdown(status.nextChange - now)}`;
+        }
+        element.className = `condition-value ${status.isLegal ? 'legal-on' : 'legal-off'}`;
     }
 
     formatSolunarPeriods(solunarData) {
@@ -169,57 +2095,255 @@ class HuntFishApp {
         let html = '';
 
         const periods = [
-            { name: 'Major 1', period: solunarData.periods.major1 },
-            { name: 'Minor 1', period: solunarData.periods.minor1 },
-            { name: 'Major 2', period: solunarData.periods.major2 },
-            { name: 'Minor 2', period: solunarData.periods.minor2 }
-        ];
+            { name: 'Major (overhead)', period: solunarData.periods.major1 },
+            { name: 'Minor (moonrise)', period: solunarData.periods.minor1 },
+            { name: 'Major (underfoot)', period: solunarData.periods.major2 },
+            { name: 'Minor (moonset)', period: solunarData.periods.minor2 }
+        ].filter(item => item.period); // Events that don't happen today have no period
 
         // Sort periods by start time
         periods.sort((a, b) => a.period.start - b.period.start);
 
+        html += `<div class="moon-times">${this.formatMoonTimes(solunarData)}</div>`;
+
         periods.forEach(item => {
             const isActive = this.solunarCalc.isInPeriod(now, item.period);
             const timeStr = this.solunarCalc.formatPeriodTime(item.period);
             const activeClass = isActive ? ' active' : '';
+            const primeClass = item.period.prime ? ' prime' : '';
             const icon = item.period.type === 'major' ? '🔴' : '🟡';
+            const primeTag = item.period.prime
+                ? ` <span class="prime-tag">⭐ Prime · ${item.period.overlapWith}</span>`
+                : '';
             
-            html += `<div class="solunar-period${activeClass}">${icon} <strong>${item.name}:</strong> ${timeStr}</div>`;
+            html += `<div class="solunar-period${activeClass}${primeClass}">${icon} <strong>${item.name}:</strong> ${timeStr}${primeTag}</div>`;
         });
 
         return html;
     }
 
+    // Moonrise / moonset summary line for the solunar card
+    formatMoonTimes(solunarData) {
+        if (solunarData.alwaysUp) return '🌕 Moon is up all day';
+        if (solunarData.alwaysDown) return '🌑 Moon stays below the horizon today';
+
+        const options = { hour: 'numeric', minute: '2-digit', hour12: true };
+        const format = time => time ? this.zone.formatTime(time, options) : 'none today';
+        return `⬆️ Rise ${format(solunarData.moonrise)} · ⬇️ Set ${format(solunarData.moonset)}`;
+    }
+
+    // "Only days in season" toggle for the forecast
+    setupSeasonFilter() {
+        const checkbox = document.getElementById('seasonFilter');
+        checkbox.checked = this.seasonFilter;
+        checkbox.addEventListener('change', (e) => {
+            this.seasonFilter = e.target.checked;
+            localStorage.setItem(this.seasonFilterKey, String(this.seasonFilter));
+            this.updateUrl();
+            if (this.weatherData) {
+                this.updateForecast();
+            }
+        });
+
+        document.getElementById('seasonNote').textContent = this.seasonCalendar.loaded
+            ? this.seasonCalendar.data.note || ''
+            : 'Season calendar unavailable - days are not checked against hunting seasons.';
+    }
+
+    // Saved planner options over the planner's defaults
+    loadPlannerOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.plannerKey));
+            return { ...this.tripPlanner.defaults, ...(saved || {}) };
+        } catch (error) {
+            console.error('Error reading planner options:', error);
+            return { ...this.tripPlanner.defaults };
+        }
+    }
+
+    // Trip length and constraints for the "Top windows this week" panel
+    setupPlanner() {
+        const hours = document.getElementById('plannerHours');
+        const minScore = document.getElementById('plannerMinScore');
+        const weekdays = document.getElementById('plannerWeekdays');
+        const evening = document.getElementById('plannerEvening');
+
+        hours.value = this.plannerOptions.hours;
+        minScore.value = this.plannerOptions.minScore;
+        weekdays.checked = this.plannerOptions.weekdaysOnly;
+        evening.checked = this.plannerOptions.afterHour !== null;
+
+        const update = () => {
+            const length = parseInt(hours.value, 10);
+            const lowest = parseInt(minScore.value, 10);
+            this.plannerOptions = {
+                ...this.plannerOptions,
+                hours: Number.isFinite(length) ? Math.min(12, Math.max(1, length)) : this.tripPlanner.defaults.hours,
+                minScore: Number.isFinite(lowest) ? lowest : 0,
+                weekdaysOnly: weekdays.checked,
+                afterHour: evening.checked ? 16 : null
+            };
+            localStorage.setItem(this.plannerKey, JSON.stringify(this.plannerOptions));
+            this.updateUrl();
+            if (this.weatherData) {
+                this.updatePlanner();
+            }
+        };
+        [hours, minScore, weekdays, evening].forEach(input => input.addEventListener('change', update));
+    }
+
+    // Rank trip windows over the forecast hours still ahead
+    findPlannerWindows() {
+        const profile = this.getActiveProfile();
+        const currentHour = this.zone.startOfHour(new Date());
+        const hours = this.weatherData.hourly.filter(hour => hour.time >= currentHour);
+
+        const allowHour = hour => this.isUsableHour(hour, this.species, profile, this.currentLocation);
+        return this.tripPlanner.findWindows(
+            hours,
+            this.currentLocation.latitude,
+            this.currentLocation.longitude,
+            profile,
+            this.getScoringContext(),
+            { ...this.plannerOptions, allowHour: allowHour }
+        );
+    }
+
+    updatePlanner() {
+        const container = document.getElementById('plannerResults');
+        const profile = this.getActiveProfile();
+        const windows = this.findPlannerWindows();
+
+        if (windows.length === 0) {
+            container.innerHTML = `<p class="planner-note">No ${this.plannerOptions.hours}-hour window for ${profile.name} matches these options this week.</p>`;
+            return;
+        }
+        container.innerHTML = windows.map((trip, i) => this.formatPlannerWindow(trip, i + 1)).join('');
+    }
+
+    // Hunters can only use legal light on days the season is open
+    isUsableHour(hour, species, profile, location) {
+        if (!this.seasonCalendar.isInSeason(species, hour.time)) return false;
+        if (profile.activity === 'fish') return true;
+        const legalHours = this.solarCalc.getLegalShootingHours(hour.time, location.latitude, location.longitude);
+        return !this.getLegalHourNote(hour.time, profile, legalHours).outside;
+    }
+
+    // One ranked window: when, average score and what lines up inside it
+    formatPlannerWindow(trip, rank) {
+        const timeOptions = { hour: 'numeric', minute: '2-digit', hour12: true };
+        const day = this.zone.formatDate(trip.start, { weekday: 'short', month: 'short', day: 'numeric' });
+        const start = this.zone.formatTime(trip.start, timeOptions);
+        const end = this.zone.formatTime(trip.end, timeOptions);
+        const scoreClass = this.scorer.getScoreClass(trip.score);
+
+        const extras = [];
+        trip.solunar.forEach(period => {
+            const icon = period.type === 'major' ? '🔴' : '🟡';
+            const name = period.type === 'major' ? 'Major' : 'Minor';
+            extras.push(`${icon} ${name} ${this.solunarCalc.formatPeriodTime(period)}${period.prime ? ' ⭐' : ''}`);
+        });
+        trip.sun.forEach(event => {
+            const icon = event.name === 'sunrise' ? '🌅' : '🌇';
+            const name = event.name === 'sunrise' ? 'Sunrise' : 'Sunset';
+            extras.push(`${icon} ${name} ${this.zone.formatTime(event.time, timeOptions)}`);
+        });
+
+        return `
+            <div class="planner-window">
+                <div class="planner-rank">#${rank}</div>
+                <div class="planner-when">
+                    <strong>${day}</strong> ${start} - ${end}
+                    <div class="planner-range">Hours score ${trip.low}-${trip.high}</div>
+                </div>
+                <div class="planner-score score-${scoreClass}">${trip.score}</div>
+                ${extras.length ? `<div class="planner-extras">${extras.join(' · ')}</div>` : ''}
+            </div>
+        `;
+    }
+
     updateForecast() {
         const container = document.getElementById('forecastData');
+
+        // Keep expanded days open when re-rendering (e.g. after a species change)
+        const expanded = new Set(
+            Array.from(container.querySelectorAll('.forecast-day.expanded'))
+                .map(dayDiv => dayDiv.dataset.index)
+        );
         container.innerHTML = '';
 
-        this.weatherData.daily.forEach((day, index) => {
+        const days = this.weatherData.daily;
+        const closed = days.filter(day => !this.seasonCalendar.isInSeason(this.species, day.date));
+        if (this.seasonFilter && closed.length === days.length) {
+            const profile = this.scorer.speciesProfiles.getProfile(this.species);
+            container.innerHTML = `<p class="season-note">No ${profile.name} season is open in the next ${days.length} days.</p>`;
+            return;
+        }
+
+        days.forEach((day, index) => {
+            // Optionally skip days the selected species can't be hunted
+            if (this.seasonFilter && closed.includes(day)) return;
+
             const dayElement = this.createForecastDay(day, index);
             container.appendChild(dayElement);
+
+            const linked = this.zone.dayKey(day.date) === this.expandedDay;
+            if (expanded.has(String(index)) || linked) {
+                dayElement.classList.add('expanded');
+                this.loadHourlyData(dayElement, day.date, index);
+                dayElement.dataset.loaded = 'true';
+            }
+            // A link to a day scrolls to it once
+            if (linked && this.scrollToDay) {
+                this.scrollToDay = false;
+                dayElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
         });
     }
 
     createForecastDay(dayData, index) {
         const dayDiv = document.createElement('div');
         dayDiv.className = 'forecast-day';
+        dayDiv.dataset.index = index;
+        dayDiv.dataset.day = this.zone.dayKey(dayData.date);
 
         // Calculate daily score (now returns object with details)
         const dailyScoreResult = this.scorer.scoreDailyConditions(
             dayData,
             dayData.date,
             this.currentLocation.latitude,
-            this.currentLocation.longitude
+            this.currentLocation.longitude,
+            this.getActiveProfile(),
+            this.getScoringContext()
         );
 
         const dailyScore = dailyScoreResult.totalScore;
         const scoreClass = this.scorer.getScoreClass(dailyScore);
         const dailyTooltip = this.scorer.generateDailyTooltip(dailyScoreResult);
 
+        // Spread of the day's score across forecast models
+        const band = this.modelForecasts ? this.ensembleScorer.scoreDay(
+            this.modelForecasts,
+            dayData.date,
+            this.currentLocation.latitude,
+            this.currentLocation.longitude,
+            this.getActiveProfile(),
+            this.getScoringContext()
+        ) : null;
+        if (band && band.lowConfidence) {
+            dayDiv.classList.add('low-confidence');
+        }
+
+        // A great day doesn't help if the selected species can't be hunted
+        const inSeason = this.seasonCalendar.isInSeason(this.species, dayData.date);
+        if (!inSeason) {
+            dayDiv.classList.add('out-of-season');
+        }
+
         // Format date
         const dateStr = index === 0 ? 'Today' : 
                        index === 1 ? 'Tomorrow' : 
-                       dayData.date.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' });
+                       this.zone.formatDate(dayData.date, { weekday: 'long', month: 'short', day: 'numeric' });
 
         // Get moon phase for this day
         const moonData = this.solunarCalc.getMoonPhase(dayData.date);
@@ -232,7 +2356,8 @@ class HuntFishApp {
                 </div>
                 <div class="forecast-score tooltip-container">
                     <div class="forecast-score-value score-${scoreClass}">${dailyScore}</div>
-                    <div class="forecast-score-label">Activity Score</div>
+                    <div class="forecast-score-label">${inSeason ? 'Activity Score' : '🚫 Season closed'}</div>
+                    ${this.formatModelBand(band, 'forecast-band')}
                     <div class="tooltip">${dailyTooltip}</div>
                 </div>
                 <div class="forecast-summary">
@@ -248,6 +2373,8 @@ class HuntFishApp {
                 </div>
                 <div class="expand-icon">▼</div>
             </div>
+            ${this.formatFrontBanners(dayData.fronts)}
+            ${this.formatSeasonTags(this.seasonCalendar.getOpenSeasons(dayData.date))}
             <div class="hourly-forecast">
                 <h4>Hourly Breakdown</h4>
                 <div class="hourly-grid" id="hourly-${index}">
@@ -264,56 +2391,162 @@ class HuntFishApp {
                 this.loadHourlyData(dayDiv, dayData.date, index);
                 dayDiv.dataset.loaded = 'true';
             }
+
+            // The last day opened goes in the link (closing it falls back to another open day)
+            if (dayDiv.classList.contains('expanded')) {
+                this.expandedDay = dayDiv.dataset.day;
+            } else if (this.expandedDay === dayDiv.dataset.day) {
+                const open = dayDiv.parentElement.querySelector('.forecast-day.expanded');
+                this.expandedDay = open ? open.dataset.day : null;
+            }
+            this.updateUrl();
         });
 
         return dayDiv;
     }
 
+    // Open seasons and legal methods for a forecast day
+    formatSeasonTags(seasons) {
+        if (seasons.length === 0) return '';
+        const tags = seasons.map(season => `<span class="season-tag">${this.seasonCalendar.describe(season)}</span>`);
+        return `<div class="season-tags">${tags.join('')}</div>`;
+    }
+
+    // Banners for fronts passing (or setting up a feed window) on a day
+    formatFrontBanners(fronts) {
+        return (fronts || []).map(front => {
+            return `<div class="front-banner">🌬️ ${this.frontDetector.describeFront(front)}</div>`;
+        }).join('');
+    }
+
     loadHourlyData(dayElement, date, dayIndex) {
         const hourlyContainer = dayElement.querySelector(`#hourly-${dayIndex}`);
-        const startOfDay = new Date(date);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(date);
-        endOfDay.setHours(23, 59, 59, 999);
+        // Filter hourly data for this day at the location
+        const dayHours = this.weatherData.hourly.filter(hour => this.zone.isSameDay(hour.time, date));
 
-        // Filter hourly data for this day
-        const dayHours = this.weatherData.hourly.filter(hour => {
-            return hour.time >= startOfDay && hour.time <= endOfDay;
-        });
+        this.renderHourCards(hourlyContainer, dayHours, date, this.modelForecasts);
+    }
+
+    // Score and render one day's hour cards into a grid (forecast or historical).
+    // `members`: model forecasts for confidence bands, if any
+    renderHourCards(hourlyContainer, dayHours, date, members) {
+        // Legal shooting hours only matter when hunting
+        const profile = this.getActiveProfile();
+        const legalHours = profile.activity === 'fish' ? null : this.solarCalc.getLegalShootingHours(
+            date,
+            this.currentLocation.latitude,
+            this.currentLocation.longitude
+        );
 
         // Create hour cards
+        const context = this.getScoringContext();
+        const stands = this.standPlanner.getStands();
         dayHours.forEach(hour => {
             const hourScoreResult = this.scorer.scoreHourlyConditions(
                 hour,
                 hour.time,
                 this.currentLocation.latitude,
-                this.currentLocation.longitude
+                this.currentLocation.longitude,
+                profile,
+                context
             );
 
             const hourScore = hourScoreResult.totalScore;
             const scoreClass = this.scorer.getScoreClass(hourScore);
-            const hourTooltip = this.scorer.generateHourlyTooltip(hourScoreResult);
-            const timeStr = hour.time.toLocaleTimeString('en-US', { 
+            const huntable = this.standPlanner.getHuntableStands(hour.windDirection);
+            const hourTooltip = this.scorer.generateHourlyTooltip(hourScoreResult) +
+                this.formatHuntableStands(huntable, stands);
+            const timeStr = this.zone.formatTime(hour.time, { 
                 hour: 'numeric', 
                 hour12: true 
             });
 
+            const legalNote = this.getLegalHourNote(hour.time, profile, legalHours);
+            const band = members ? this.ensembleScorer.scoreHour(
+                members,
+                hour.time,
+                this.currentLocation.latitude,
+                this.currentLocation.longitude,
+                profile,
+                context
+            ) : null;
+
             const hourCard = document.createElement('div');
-            hourCard.className = `hour-card bg-${scoreClass} tooltip-container`;
+            hourCard.className = `hour-card bg-${scoreClass} tooltip-container${legalNote.outside ? ' outside-legal' : ''}`;
             hourCard.innerHTML = `
                 <div class="hour-time">${timeStr}</div>
                 <div class="hour-score score-${scoreClass}">${hourScore}</div>
+                ${this.formatModelBand(band, 'hour-band')}
                 <div class="hour-temp">${hour.temperature}°F</div>
                 <div class="hour-temp" style="font-size: 0.8em;">${this.weatherAPI.getWeatherEmoji(hour.weatherCode)}</div>
+                <div class="hour-wind">${hour.windSpeed === null ? '--' : `${this.standPlanner.toCompass(hour.windDirection)} ${hour.windSpeed}`}</div>
+                ${stands.length ? `<div class="hour-stands">🪵 ${huntable.length}/${stands.length}</div>` : ''}
+                ${legalNote.text ? `<div class="hour-legal">${legalNote.text}</div>` : ''}
                 <div class="tooltip">${hourTooltip}</div>
             `;
 
             hourlyContainer.appendChild(hourCard);
         });
     }
+
+    // "🎲 72 (61-80)": median score across forecast models and their range
+    formatModelBand(band, className) {
+        if (!band) return '';
+        const title = `Median of ${band.count} forecast models, range ${band.low}-${band.high}` +
+            (band.lowConfidence ? ' - the models disagree, low confidence' : '');
+        return `<div class="${className}${band.lowConfidence ? ' low-confidence' : ''}" title="${title}">${band.lowConfidence ? '⚠️' : '🎲'} ${band.median} (${band.low}-${band.high})</div>`;
+    }
+
+    // Tooltip section listing which saved stands have the right wind this hour
+    formatHuntableStands(huntable, stands) {
+        if (stands.length === 0) return '';
+        const names = huntable.length ? huntable.map(stand => this.escapeHTML(stand.name)).join(', ') : 'None';
+        return `
+            <div class="tooltip-divider"></div>
+            <div style="font-size: 0.85em; color: #ccc;">🪵 Good wind: ${names}</div>
+        `;
+    }
+
+    // Flag hours that fall fully or partly outside legal shooting hours
+    getLegalHourNote(hourStart, profile, legalHours) {
+        if (profile.activity === 'fish') {
+            return { outside: false, text: '' };
+        }
+        if (!legalHours) {
+            return { outside: true, text: '🚫 Not legal' };
+        }
+
+        const hourEnd = new Date(hourStart.getTime() + 60 * 60 * 1000);
+        const options = { hour: 'numeric', minute: '2-digit', hour12: true };
+
+        if (hourEnd <= legalHours.start || hourStart >= legalHours.end) {
+            return { outside: true, text: '🚫 Not legal' };
+        }
+        if (hourStart < legalHours.start) {
+            return { outside: false, text: `From ${this.zone.formatTime(legalHours.start, options)}` };
+        }
+        if (hourEnd > legalHours.end) {
+            return { outside: false, text: `Until ${this.zone.formatTime(legalHours.end, options)}` };
+        }
+        return { outside: false, text: '' };
+    }
 }
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    new HuntFishApp();
+    const app = new HuntFishApp();
+
+    // Refresh when the signal comes back while showing stored data
+    window.addEventListener('online', () => {
+        if (!app.weatherData || app.weatherData.offline) {
+            app.loadData();
+        }
+    });
+
+    // Cache the app shell so the page opens with no signal
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
 });
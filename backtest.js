@@ -0,0 +1,138 @@
+// Backtesting Module
+// Scores past days from archived weather, and checks scores against recorded outcomes
+
+class Backtester {
+    constructor(weatherAPI, scorer) {
+        this.weatherAPI = weatherAPI;
+        this.scorer = scorer;
+        this.maxRangeDays = 366; // Longest archive request per location
+    }
+
+    // Hour-by-hour scores for one past date (YYYY-MM-DD) at a location
+    async scoreDay(date, latitude, longitude, profile, context) {
+        const history = await this.weatherAPI.getHistoricalData(latitude, longitude, date, date);
+        const day = history.daily[0];
+        if (!day) {
+            throw new Error(`No archived weather for ${date}`);
+        }
+
+        return {
+            day: day,
+            dayScore: this.scorer.scoreDailyConditions(day, day.date, latitude, longitude, profile, context),
+            hours: day.hours.map(hour => ({
+                hour: hour,
+                result: this.scorer.scoreHourlyConditions(hour, hour.time, latitude, longitude, profile, context)
+            }))
+        };
+    }
+
+    // Score each outcome at the hour it happened and measure how well scores tracked success.
+    // outcomes: journal-style entries { time, species, count, spot: { name, latitude, longitude } }
+    // getProfile(species, spot): the profile to score with; fallback: { latitude, longitude } for
+    // outcomes without coordinates; range: optional { from, to } (YYYY-MM-DD).
+    // Each row keeps the outcome it scored as `entry`, with the archived hour and full score
+    async run(outcomes, getProfile, fallback, range = {}) {
+        const groups = {};
+        let skipped = 0;
+
+        outcomes.forEach(outcome => {
+            // Zone-less outcome times are wall-clock times at the location
+            const time = this.scorer.zone.parseTimestamp(outcome.time);
+            const date = this.localDateKey(time);
+            if (isNaN(time) || !outcome.species || (range.from && date < range.from) || (range.to && date > range.to)) {
+                skipped++;
+                return;
+            }
+
+            const spot = outcome.spot || {};
+            const latitude = typeof spot.latitude === 'number' ? spot.latitude : fallback.latitude;
+            const longitude = typeof spot.longitude === 'number' ? spot.longitude : fallback.longitude;
+            const key = `${latitude.toFixed(3)},${longitude.toFixed(3)}`;
+            if (!groups[key]) {
+                groups[key] = { latitude, longitude, outcomes: [] };
+            }
+            groups[key].outcomes.push({ entry: outcome, time, date });
+        });
+
+        const rows = [];
+        for (const group of Object.values(groups)) {
+            const dates = group.outcomes.map(outcome => outcome.date).sort();
+            const start = dates[0];
+            let end = dates[dates.length - 1];
+            const maxEnd = this.addDays(start, this.maxRangeDays - 1);
+            if (end > maxEnd) end = maxEnd;
+
+            let history;
+            try {
+                history = await this.weatherAPI.getHistoricalData(group.latitude, group.longitude, start, end);
+            } catch (error) {
+                console.error('Error loading archive for backtest:', error);
+                skipped += group.outcomes.length;
+                continue;
+            }
+
+            group.outcomes.forEach(outcome => {
+                // The archived hour containing the outcome
+                const hour = history.hourly.find(item => {
+                    return item.time <= outcome.time && outcome.time - item.time < 3600000;
+                });
+                if (!hour) {
+                    skipped++;
+                    return;
+                }
+
+                const { entry } = outcome;
+                const result = this.scorer.scoreHourlyConditions(
+                    hour,
+                    hour.time,
+                    group.latitude,
+                    group.longitude,
+                    getProfile(entry.species, entry.spot),
+                    {}
+                );
+                rows.push({ entry, hour, result, score: result.totalScore, factors: result.factors, success: entry.count > 0 });
+            });
+        }
+
+        return { rows, skipped, summary: this.summarize(rows) };
+    }
+
+    // How well scores separated successful outings from unsuccessful ones
+    summarize(rows) {
+        const scores = rows.map(row => row.score);
+        const outcomes = rows.map(row => (row.success ? 1 : 0));
+        const successScores = rows.filter(row => row.success).map(row => row.score);
+        const failureScores = rows.filter(row => !row.success).map(row => row.score);
+        const mean = values => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+        // Success rate in each score band - should climb from poor to excellent
+        const bands = ['excellent', 'good', 'fair', 'poor'].map(band => {
+            const inBand = rows.filter(row => this.scorer.getScoreClass(row.score) === band);
+            const successes = inBand.filter(row => row.success).length;
+            return {
+                band: band,
+                count: inBand.length,
+                successes: successes,
+                successRate: inBand.length ? successes / inBand.length : null
+            };
+        });
+
+        return {
+            count: rows.length,
+            successes: successScores.length,
+            correlation: rows.length > 1 ? this.scorer.calibrator.correlation(scores, outcomes) : null,
+            successMean: mean(successScores),
+            failureMean: mean(failureScores),
+            bands: bands
+        };
+    }
+
+    // YYYY-MM-DD of a moment at the location
+    localDateKey(time) {
+        return this.scorer.zone.dayKey(time);
+    }
+
+    addDays(key, days) {
+        return new Date(new Date(`${key}T00:00:00Z`).getTime() + days * 86400000).toISOString().slice(0, 10);
+    }
+}
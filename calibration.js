@@ -0,0 +1,228 @@
+// Score Calibration Module
+// Fits factor weights and comfort ranges to the user's own journal outcomes, per species
+// and per location. The species profiles stay the defaults; a fitted model overrides them
+// only when calibration is switched on and there is enough history to trust it
+
+class ScoreCalibrator {
+    constructor(speciesProfiles) {
+        this.speciesProfiles = speciesProfiles;
+        this.storageKey = 'huntfish.calibration';
+        this.enabledKey = 'huntfish.calibrationEnabled';
+
+        this.factorNames = ['temperature', 'pressure', 'weather', 'wind', 'solunar', 'front', 'water'];
+
+        // Need both good and bad outings before anything can be learned
+        this.minEntries = 8;
+        this.minEachOutcome = 2;
+
+        // How many entries' worth of trust the default profile gets - small histories
+        // nudge the defaults, large ones mostly replace them
+        this.priorStrength = 20;
+
+        // A factor that predicted nothing keeps a sliver of weight rather than vanishing
+        this.weightFloor = 0.02;
+
+        // Band-based factors whose sweet spot can move, and the snapshot reading behind each
+        this.rangeReadings = {
+            temperature: 'temperature',
+            pressure: 'pressure',
+            wind: 'windSpeed'
+        };
+        this.minRangeSuccesses = 5;
+
+        this.models = this.loadModels();
+        this.enabled = localStorage.getItem(this.enabledKey) === 'true';
+    }
+
+    // Read fitted models from localStorage
+    loadModels() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error reading calibration:', error);
+            return {};
+        }
+    }
+
+    saveModels() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.models));
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem(this.enabledKey, String(enabled));
+    }
+
+    // Locations are matched by saved spot id, else by name
+    locationKey(location) {
+        return location.spotId || location.name || location.city;
+    }
+
+    modelKey(species, locationKey) {
+        return `${species}|${locationKey || '*'}`;
+    }
+
+    // Fit every species (all locations) and every species/location pair with enough history
+    fitAll(entries) {
+        const usable = entries.filter(entry => entry.snapshot && entry.snapshot.score && entry.snapshot.score.factors);
+        const groups = {};
+
+        usable.forEach(entry => {
+            const location = this.locationKey(entry.spot);
+            [this.modelKey(entry.species, null), this.modelKey(entry.species, location)].forEach(key => {
+                if (!groups[key]) {
+                    groups[key] = { species: entry.species, location: key.endsWith('|*') ? null : location, locationName: entry.spot.name, entries: [] };
+                }
+                groups[key].entries.push(entry);
+            });
+        });
+
+        this.models = {};
+        Object.keys(groups).forEach(key => {
+            const group = groups[key];
+            const model = this.fitModel(this.speciesProfiles.getProfile(group.species), group.entries);
+            if (model) {
+                this.models[key] = { ...model, key, species: group.species, location: group.location, locationName: group.location ? group.locationName : 'All locations' };
+            }
+        });
+        this.saveModels();
+
+        return {
+            models: Object.values(this.models),
+            usable: usable.length,
+            skipped: entries.length - usable.length
+        };
+    }
+
+    // Fit one model from a set of entries (null when there isn't enough history)
+    fitModel(profile, entries) {
+        const outcomes = entries.map(entry => (entry.count > 0 ? 1 : 0));
+        const successes = outcomes.filter(Boolean).length;
+        if (entries.length < this.minEntries ||
+            successes < this.minEachOutcome ||
+            entries.length - successes < this.minEachOutcome) {
+            return null;
+        }
+
+        const sampleSize = entries.length;
+        const trust = sampleSize / (sampleSize + this.priorStrength);
+
+        // How well each factor's score separated good outings from bad ones
+        // (only factors the profile weighs - hunting profiles have no water factor)
+        const factorNames = this.factorNames.filter(name => name in profile.weights);
+        const factors = {};
+        factorNames.forEach(name => {
+            const pairs = entries
+                .map((entry, i) => [entry.snapshot.score.factors[name], outcomes[i]])
+                .filter(([value]) => value !== null && value !== undefined);
+            const withSuccess = pairs.filter(([, outcome]) => outcome === 1).map(([value]) => value);
+            const withFailure = pairs.filter(([, outcome]) => outcome === 0).map(([value]) => value);
+
+            factors[name] = {
+                samples: pairs.length,
+                correlation: pairs.length >= this.minEntries
+                    ? this.correlation(pairs.map(([value]) => value), pairs.map(([, outcome]) => outcome))
+                    : null,
+                successMean: this.mean(withSuccess),
+                failureMean: this.mean(withFailure),
+                defaultWeight: profile.weights[name]
+            };
+        });
+
+        // Fitted weights follow correlation, scaled to the same total as the defaults,
+        // then blended with the defaults by how much history there is
+        const fitted = factorNames.filter(name => factors[name].correlation !== null);
+        const defaultTotal = fitted.reduce((sum, name) => sum + profile.weights[name], 0);
+        const rawTotal = fitted.reduce((sum, name) => sum + Math.max(factors[name].correlation, this.weightFloor), 0);
+
+        const weights = {};
+        factorNames.forEach(name => {
+            const defaultWeight = profile.weights[name];
+            if (factors[name].correlation === null || rawTotal === 0) {
+                weights[name] = defaultWeight;
+            } else {
+                const fittedWeight = Math.max(factors[name].correlation, this.weightFloor) / rawTotal * defaultTotal;
+                weights[name] = Math.round((trust * fittedWeight + (1 - trust) * defaultWeight) * 1000) / 1000;
+            }
+            factors[name].fittedWeight = weights[name];
+        });
+
+        // Move each sweet spot toward the median reading on successful outings
+        const ranges = {};
+        Object.keys(this.rangeReadings).forEach(name => {
+            const readings = entries
+                .filter((entry, i) => outcomes[i] === 1 && entry.snapshot.weather)
+                .map(entry => entry.snapshot.weather[this.rangeReadings[name]])
+                .filter(value => typeof value === 'number');
+            if (readings.length < this.minRangeSuccesses) return;
+
+            const topBand = profile[name].bands[0];
+            const defaultCenter = (topBand.min + topBand.max) / 2;
+            const successMedian = this.median(readings);
+            const shift = Math.round((successMedian - defaultCenter) * trust * 10) / 10;
+
+            ranges[name] = { successMedian, defaultCenter, shift, samples: readings.length };
+        });
+
+        return { sampleSize, successes, trust, factors, weights, ranges, fittedAt: new Date().toISOString() };
+    }
+
+    // Model for a species at a location: the location's own fit, else the species-wide fit
+    getModel(species, locationKey) {
+        return this.models[this.modelKey(species, locationKey)] || this.models[this.modelKey(species, null)] || null;
+    }
+
+    // Profile to score with - the default, or a copy with fitted weights and shifted bands.
+    // The copy keeps the default as `baseProfile` so scores can show model vs default
+    getCalibratedProfile(profile, locationKey) {
+        const model = this.enabled ? this.getModel(profile.id, locationKey) : null;
+        if (!model) {
+            return profile;
+        }
+
+        const calibrated = { ...profile, weights: { ...model.weights }, baseProfile: profile, calibration: model };
+        Object.keys(model.ranges).forEach(name => {
+            calibrated[name] = {
+                ...profile[name],
+                bands: this.shiftBands(profile[name].bands, model.ranges[name].shift)
+            };
+        });
+        return calibrated;
+    }
+
+    // Slide bands by `shift`, leaving bands that start at zero anchored there (calm wind)
+    shiftBands(bands, shift) {
+        return bands.map(band => ({
+            ...band,
+            min: band.min === 0 ? 0 : band.min + shift,
+            max: band.max + shift
+        }));
+    }
+
+    // Pearson correlation (point-biserial for a 0/1 outcome); 0 when either side doesn't vary
+    correlation(xs, ys) {
+        const meanX = this.mean(xs);
+        const meanY = this.mean(ys);
+        let covariance = 0;
+        let varianceX = 0;
+        let varianceY = 0;
+        xs.forEach((x, i) => {
+            covariance += (x - meanX) * (ys[i] - meanY);
+            varianceX += (x - meanX) ** 2;
+            varianceY += (ys[i] - meanY) ** 2;
+        });
+        if (varianceX === 0 || varianceY === 0) return 0;
+        return covariance / Math.sqrt(varianceX * varianceY);
+    }
+
+    mean(values) {
+        if (values.length === 0) return null;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
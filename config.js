@@ -0,0 +1,215 @@
+// Scoring Configuration Module
+// Every weight, band and breakpoint the scorer uses, in one object the user can edit,
+// export, import and reset. Saved in localStorage; defaults come from the species profiles
+// and the constants below
+
+class ScoringConfig {
+    constructor(speciesProfiles) {
+        this.speciesProfiles = speciesProfiles;
+        this.storageKey = 'huntfish.scoringConfig';
+        this.curveNames = ['steps', 'linear', 'gaussian'];
+        this.values = this.load();
+        this.speciesProfiles.applyConfig(this.values.profiles);
+    }
+
+    // Built-in configuration
+    defaults() {
+        // Per-species weights, comfort bands and rain tolerance
+        const profiles = {};
+        Object.values(this.speciesProfiles.profiles).forEach(profile => {
+            profiles[profile.id] = this.clone({
+                weights: profile.weights,
+                temperature: profile.temperature,
+                pressure: profile.pressure,
+                wind: profile.wind,
+                precipitationTolerance: profile.precipitationTolerance,
+                water: profile.water
+            });
+        });
+
+        return {
+            profiles: profiles,
+            weather: {
+                // WMO weather code ranges, checked in order
+                codes: [
+                    { min: 0, max: 1, score: 95, label: 'Clear' },
+                    { min: 2, max: 2, score: 100, label: 'Partly cloudy' },
+                    { min: 3, max: 3, score: 85, label: 'Overcast' },
+                    { min: 45, max: 48, score: 60, label: 'Fog' },
+                    { min: 51, max: 55, score: 70, label: 'Drizzle' },
+                    { min: 61, max: 61, score: 60, label: 'Light rain' },
+                    { min: 63, max: 65, score: 30, label: 'Moderate/heavy rain' },
+                    { min: 71, max: 77, score: 25, label: 'Snow' },
+                    { min: 80, max: 86, score: 35, label: 'Showers' }
+                ],
+                fallback: 50,
+                precipitationFromCode: 51, // Codes from here up get the species' rain tolerance
+                thunderstormFromCode: 95,
+                thunderstormScore: 10      // Never excused by rain tolerance - it's a safety call
+            },
+            // Shape of each factor's score between breakpoints: 'steps' keeps every band flat,
+            // 'linear' interpolates between bands and 'gaussian' falls away from the best band
+            curves: {
+                temperature: 'linear',
+                pressure: 'linear',
+                wind: 'linear',
+                front: 'linear'
+            },
+            pressure: {
+                sustainedRiseFactor: 0.5, // Share of the rising bonus for a steady 3h but climbing 12h
+                fastFallPenalty: 15       // Quick or very rapid 3h fall
+            },
+            wind: {
+                // Gust spread above the sustained speed -> penalty (largest spread first)
+                gustPenalties: [
+                    { spread: 20, penalty: 20 },
+                    { spread: 10, penalty: 10 }
+                ],
+                // How much of the wind score survives a wrong wind: a stand's scent blows
+                // straight to the deer, a fishing spot on the wrong bank is still fishable
+                wrongWindFactor: { stand: 0.3, spot: 0.7 }
+            },
+            // Hours averaged into a day's score
+            daily: {
+                startHour: 6,
+                endHour: 19
+            },
+            front: {
+                preFrontal: 95,
+                frontal: 20,
+                postFrontalEarly: 30,
+                postFrontalEarlyHours: 18,
+                postFrontalLate: 55
+            },
+            // Profile adjustments in each seasonal phase (phases.js): weight multipliers
+            // and how far the temperature bands slide (°F)
+            phases: {
+                'pre-rut': { weights: { temperature: 1.2, front: 1.3 }, temperatureShift: 0 },
+                seeking: { weights: { temperature: 0.8, solunar: 0.8, front: 1.2 }, temperatureShift: 5 },
+                chasing: { weights: { temperature: 0.6, pressure: 0.8, solunar: 0.6, wind: 1.2 }, temperatureShift: 8 },
+                'peak-breeding': { weights: { temperature: 0.8, solunar: 0.8 }, temperatureShift: 5 },
+                'post-rut': { weights: { temperature: 1.3, front: 1.2 }, temperatureShift: -5 },
+                'pre-spawn': { weights: { temperature: 1.3, front: 1.2 }, temperatureShift: -5 },
+                spawn: { weights: { weather: 0.8, wind: 0.7, solunar: 0.8, water: 1.2 }, temperatureShift: 0 },
+                'post-spawn': { weights: { pressure: 1.2 }, temperatureShift: 3 }
+            },
+            water: {
+                // Gauge readings are trusted for forecast hours this close to the reading
+                forecastHours: 24
+            },
+            ensemble: {
+                // A day or hour is low-confidence when the models' scores span this many points
+                lowConfidenceSpread: 15
+            },
+            // Lowest score for each rating
+            ratings: {
+                excellent: 85,
+                good: 70,
+                fair: 50
+            }
+        };
+    }
+
+    // Saved configuration merged over the defaults (so new settings pick up their defaults)
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return this.merge(this.defaults(), saved || {});
+        } catch (error) {
+            console.error('Error reading scoring settings:', error);
+            return this.defaults();
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+        this.speciesProfiles.applyConfig(this.values.profiles);
+    }
+
+    // Value at a dotted path, e.g. "profiles.whitetail.weights.wind"
+    get(path) {
+        return path.split('.').reduce((value, key) => (value === undefined ? undefined : value[key]), this.values);
+    }
+
+    set(path, value) {
+        const keys = path.split('.');
+        const target = keys.slice(0, -1).reduce((object, key) => object[key], this.values);
+        target[keys[keys.length - 1]] = value;
+        this.save();
+    }
+
+    reset() {
+        this.values = this.defaults();
+        this.save();
+    }
+
+    export() {
+        return JSON.stringify(this.values, null, 2);
+    }
+
+    import(text) {
+        const imported = JSON.parse(text);
+        if (!imported || typeof imported !== 'object' || Array.isArray(imported)) {
+            throw new Error('Scoring settings must be a JSON object');
+        }
+        this.validate(imported, this.defaults(), '');
+        this.values = this.merge(this.defaults(), imported);
+        this.save();
+    }
+
+    // Throw unless an imported value fits the default at the same path: finite numbers for
+    // numbers, lists for lists (each item shaped like the first default item, with all its
+    // fields), known curve names for curves and no settings the defaults don't have
+    validate(value, shape, path, complete) {
+        const where = path || 'Scoring settings';
+        if (typeof shape === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`${where} must be a number`);
+            }
+        } else if (typeof shape === 'string') {
+            if (path.startsWith('curves.') ? !this.curveNames.includes(value) : typeof value !== 'string') {
+                throw new Error(`${where} must be ${path.startsWith('curves.') ? `one of ${this.curveNames.join(', ')}` : 'text'}`);
+            }
+        } else if (Array.isArray(shape)) {
+            if (!Array.isArray(value)) {
+                throw new Error(`${where} must be a list`);
+            }
+            value.forEach((item, i) => this.validate(item, shape[0], `${path}.${i}`, true));
+        } else {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`${where} must be an object`);
+            }
+            Object.keys(value).forEach(key => {
+                const keyPath = path ? `${path}.${key}` : key;
+                if (!(key in shape)) {
+                    throw new Error(`Unknown scoring setting ${keyPath}`);
+                }
+                this.validate(value[key], shape[key], keyPath);
+            });
+            if (complete) {
+                const missing = Object.keys(shape).find(key => !(key in value));
+                if (missing) {
+                    throw new Error(`${where} is missing ${missing}`);
+                }
+            }
+        }
+    }
+
+    // Deep-merge plain objects; arrays and values from `override` replace the base
+    merge(base, override) {
+        if (!override || typeof override !== 'object' || Array.isArray(override) ||
+            !base || typeof base !== 'object' || Array.isArray(base)) {
+            return override === undefined ? base : override;
+        }
+
+        const merged = { ...base };
+        Object.keys(override).forEach(key => {
+            merged[key] = key in base ? this.merge(base[key], override[key]) : override[key];
+        });
+        return merged;
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
@@ -0,0 +1,91 @@
+// Local Database Module
+// IndexedDB storage for data that must survive without a connection
+// (last forecast per location, catch/harvest journal)
+
+class HuntFishDB {
+    constructor() {
+        this.name = 'huntfish';
+        this.version = 2; // 2: journal store
+        this.db = null;
+    }
+
+    // Open (and create or upgrade) the database once
+    open() {
+        if (this.db) {
+            return this.db;
+        }
+
+        this.db = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.name, this.version);
+            request.onupgradeneeded = () => this.upgrade(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call retry if opening failed
+        this.db.catch(() => {
+            this.db = null;
+        });
+
+        return this.db;
+    }
+
+    // Create object stores for a fresh or older database
+    upgrade(db) {
+        if (!db.objectStoreNames.contains('forecasts')) {
+            db.createObjectStore('forecasts', { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains('journal')) {
+            db.createObjectStore('journal', { keyPath: 'id' });
+        }
+    }
+
+    // Run a single request against a store and resolve with its result
+    async request(storeName, mode, action) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Cache key for a location, rounded so tiny coordinate differences share an entry
+    locationKey(latitude, longitude) {
+        return `${Number(latitude).toFixed(3)},${Number(longitude).toFixed(3)}`;
+    }
+
+    // Store the raw forecast response for a location with the time it was fetched
+    saveForecast(latitude, longitude, data) {
+        return this.request('forecasts', 'readwrite', store => store.put({
+            key: this.locationKey(latitude, longitude),
+            fetchedAt: Date.now(),
+            data: data
+        }));
+    }
+
+    // Last stored forecast for a location: { key, fetchedAt, data } or undefined
+    getForecast(latitude, longitude) {
+        return this.request('forecasts', 'readonly', store => store.get(this.locationKey(latitude, longitude)));
+    }
+
+    // Add or replace a journal entry
+    saveJournalEntry(entry) {
+        return this.request('journal', 'readwrite', store => store.put(entry));
+    }
+
+    getJournalEntries() {
+        return this.request('journal', 'readonly', store => store.getAll());
+    }
+
+    deleteJournalEntry(id) {
+        return this.request('journal', 'readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,449 @@
+// Local Fixture Server
+// Serves the app plus fake Open-Meteo forecast, archive and geocoding endpoints, fake NWS
+// points and gridpoint endpoints, a fake Nominatim reverse-geocoding endpoint and a fake
+// USGS instantaneous-values endpoint, so the app and backtests can run with no network.
+// Weather is synthetic but deterministic: a daily temperature cycle and a cold front
+// passing every five days, with the rivers rising behind each front.
+//
+// Usage:  node dev/fixture-server.js [port]
+// Then open http://localhost:8787/?api=http://localhost:8787
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8787;
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.js': 'text/javascript',
+    '.css': 'text/css',
+    '.json': 'application/json',
+    '.csv': 'text/csv'
+};
+
+const FRONT_EVERY_DAYS = 5;
+const FRONT_HOUR = 14;
+
+// Stream gauges served by /nwis/iv/ (base flow in ft³/s; null = lake level only)
+const GAUGES = [
+    { id: '03274000', name: 'GREAT MIAMI RIVER AT HAMILTON OH', latitude: 39.3912, longitude: -84.5724, baseFlow: 3400 },
+    { id: '03270500', name: 'GREAT MIAMI RIVER AT DAYTON OH', latitude: 39.7656, longitude: -84.1972, baseFlow: 2600 },
+    { id: '03245500', name: 'LITTLE MIAMI RIVER AT MILFORD OH', latitude: 39.1714, longitude: -84.2980, baseFlow: 1700 },
+    { id: '03255000', name: 'OHIO RIVER AT CINCINNATI OH', latitude: 39.0953, longitude: -84.5097, baseFlow: 90000 },
+    { id: '03231500', name: 'SCIOTO RIVER AT CHILLICOTHE OH', latitude: 39.3420, longitude: -82.9688, baseFlow: 4200 },
+    { id: '03245200', name: 'EAST FORK LAKE NR BATAVIA OH', latitude: 39.0248, longitude: -84.1382, baseFlow: null }
+];
+const GAUGE_STEP_MINUTES = 15;
+
+// Named places answered by /reverse within PLACE_RADIUS_KM; anywhere else gets its county only
+const PLACES = [
+    { name: 'Shawnee State Forest', county: 'Scioto County', latitude: 38.7420, longitude: -83.2010 },
+    { name: 'Caesar Creek State Park', county: 'Warren County', latitude: 39.5070, longitude: -84.0530 },
+    { name: 'Tar Hollow State Forest', county: 'Ross County', latitude: 39.3870, longitude: -82.7610 },
+    { name: 'Cincinnati', county: 'Hamilton County', latitude: 39.1031, longitude: -84.5120 }
+];
+const PLACE_RADIUS_KM = 10;
+
+// Forecast models served for ?models=...: each drifts from the base weather by these amounts
+// per forecast day, so they agree today and spread later in the week. `hours` ends a
+// short-range model early (hours past it are null, as Open-Meteo returns them)
+const MODELS = {
+    gfs_seamless: { temperature: 3, pressure: 1.2, windSpeed: 2 },
+    ecmwf_ifs025: { temperature: -2, pressure: -0.8, windSpeed: -1 },
+    icon_seamless: { temperature: 1, pressure: 0.4, windSpeed: 3 },
+    gem_seamless: { temperature: -5, pressure: -1.6, windSpeed: 1 },
+    gfs_hrrr: { temperature: 1.5, pressure: 0.6, windSpeed: 0, hours: 48 }
+};
+
+// "YYYY-MM-DD" for a UTC-midnight date
+function dateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(key, days) {
+    return dateKey(new Date(new Date(`${key}T00:00:00Z`).getTime() + days * 86400000));
+}
+
+// Synthetic conditions for one hour; `hourNumber` counts hours since 1970-01-01 local time
+function weatherAt(hourNumber) {
+    const hourOfDay = hourNumber % 24;
+    const sinceFront = hoursSinceFront(hourNumber);
+    const untilFront = FRONT_EVERY_DAYS * 24 - sinceFront;
+
+    // Pressure falls over the 12 hours before passage and recovers over the next day
+    let pressure = 1018;
+    if (untilFront <= 12) pressure -= (12 - untilFront) * 0.8;
+    if (sinceFront < 24) pressure -= Math.max(0, 9.6 - sinceFront * 0.6);
+
+    const postFrontal = sinceFront < 36;
+    const nearPassage = sinceFront <= 2 || untilFront <= 2;
+    const seasonal = 55 + 15 * Math.sin((hourNumber / 24 - 100) / 365 * 2 * Math.PI);
+
+    return {
+        temperature: Math.round((seasonal + 10 * Math.sin((hourOfDay - 9) / 24 * 2 * Math.PI) - (postFrontal ? 12 : 0)) * 10) / 10,
+        humidity: nearPassage ? 90 : 60,
+        precipitationProbability: nearPassage ? 80 : 10,
+        precipitation: nearPassage ? 0.15 : 0,
+        weatherCode: nearPassage ? 63 : hourOfDay < 12 ? 1 : 2,
+        pressure: Math.round(pressure * 10) / 10,
+        windSpeed: nearPassage ? 16 : 7,
+        windDirection: postFrontal ? 300 : 210,
+        windGust: nearPassage ? 28 : 13,
+        cloudCover: nearPassage ? 100 : 30
+    };
+}
+
+// Hours since the last synthetic front passage
+function hoursSinceFront(hourNumber) {
+    const cycle = FRONT_EVERY_DAYS * 24;
+    const sinceFront = (hourNumber - FRONT_HOUR) % cycle;
+    return sinceFront < 0 ? sinceFront + cycle : sinceFront;
+}
+
+// Gauge readings for one moment: the river crests ~12 hours after a front's rain and
+// recedes over two days; water temperature follows the season, lagging the air
+function gaugeAt(gauge, hourNumber) {
+    const sinceFront = hoursSinceFront(hourNumber);
+    const surge = sinceFront < 60 ? Math.exp(-((sinceFront - 12) ** 2) / 200) : 0;
+    const waterF = 58 + 14 * Math.sin((hourNumber / 24 - 115) / 365 * 2 * Math.PI) - surge * 3;
+
+    return {
+        discharge: gauge.baseFlow === null ? null : Math.round(gauge.baseFlow * (1 + 1.5 * surge)),
+        gaugeHeight: Math.round(((gauge.baseFlow === null ? 733 : 3) + 4 * surge) * 100) / 100,
+        waterTemperature: Math.round((waterF - 32) * 5 / 9 * 10) / 10 // °C, as USGS reports it
+    };
+}
+
+// One USGS instantaneous-values time series
+function ivSeries(gauge, code, unit, name, values) {
+    return {
+        sourceInfo: {
+            siteName: gauge.name,
+            siteCode: [{ value: gauge.id, network: 'NWIS', agencyCode: 'USGS' }],
+            geoLocation: { geogLocation: { srs: 'EPSG:4326', latitude: gauge.latitude, longitude: gauge.longitude } }
+        },
+        variable: {
+            variableCode: [{ value: code, network: 'NWIS' }],
+            variableName: name,
+            unit: { unitCode: unit },
+            noDataValue: -999999.0
+        },
+        values: [{ value: values }],
+        name: `USGS:${gauge.id}:${code}:00000`
+    };
+}
+
+// USGS /nwis/iv/ shaped response for ?sites=... or ?bBox=west,south,east,north (last two days)
+function instantaneousValues(params) {
+    let gauges = GAUGES;
+    if (params.get('sites')) {
+        const ids = params.get('sites').split(',');
+        gauges = GAUGES.filter(gauge => ids.includes(gauge.id));
+    } else if (params.get('bBox')) {
+        const [west, south, east, north] = params.get('bBox').split(',').map(Number);
+        gauges = GAUGES.filter(gauge => gauge.longitude >= west && gauge.longitude <= east &&
+            gauge.latitude >= south && gauge.latitude <= north);
+    }
+
+    const now = new Date();
+    const end = Math.floor(now.getTime() / (GAUGE_STEP_MINUTES * 60000)) * GAUGE_STEP_MINUTES * 60000;
+    const offset = now.getTimezoneOffset() * 60000;
+    const timeSeries = [];
+
+    gauges.forEach(gauge => {
+        const readings = { discharge: [], gaugeHeight: [], waterTemperature: [] };
+        for (let time = end - 48 * 3600000; time <= end; time += GAUGE_STEP_MINUTES * 60000) {
+            const reading = gaugeAt(gauge, (time - offset) / 3600000);
+            const dateTime = new Date(time).toISOString();
+            Object.keys(readings).forEach(key => {
+                if (reading[key] !== null) readings[key].push({ value: String(reading[key]), qualifiers: ['P'], dateTime });
+            });
+        }
+        if (gauge.baseFlow !== null) {
+            timeSeries.push(ivSeries(gauge, '00060', 'ft3/s', 'Streamflow, ft&#179;/s', readings.discharge));
+        }
+        timeSeries.push(ivSeries(gauge, '00065', 'ft', 'Gage height, ft', readings.gaugeHeight));
+        timeSeries.push(ivSeries(gauge, '00010', 'deg C', 'Temperature, water, &#176;C', readings.waterTemperature));
+    });
+
+    return { name: 'ns1:timeSeriesResponseType', declaredType: 'org.cuahsi.waterml.TimeSeriesResponseType', value: { timeSeries } };
+}
+
+// Open-Meteo shaped hourly + daily arrays for whole days [startKey, endKey]
+function buildSeries(startKey, endKey, withProbability) {
+    const hourly = {
+        time: [], temperature_2m: [], relative_humidity_2m: [], precipitation: [], weather_code: [],
+        surface_pressure: [], wind_speed_10m: [], wind_direction_10m: [], wind_gusts_10m: [], cloud_cover: []
+    };
+    const daily = {
+        time: [], weather_code: [], temperature_2m_max: [], temperature_2m_min: [],
+        precipitation_sum: [], wind_speed_10m_max: []
+    };
+    if (withProbability) {
+        hourly.precipitation_probability = [];
+        daily.precipitation_probability_max = [];
+    }
+
+    for (let key = startKey; key <= endKey; key = addDays(key, 1)) {
+        const firstHour = new Date(`${key}T00:00:00Z`).getTime() / 3600000;
+        const hours = [];
+        for (let h = 0; h < 24; h++) {
+            const hour = weatherAt(firstHour + h);
+            hours.push(hour);
+            hourly.time.push(`${key}T${String(h).padStart(2, '0')}:00`);
+            hourly.temperature_2m.push(hour.temperature);
+            hourly.relative_humidity_2m.push(hour.humidity);
+            hourly.precipitation.push(hour.precipitation);
+            hourly.weather_code.push(hour.weatherCode);
+            hourly.surface_pressure.push(hour.pressure);
+            hourly.wind_speed_10m.push(hour.windSpeed);
+            hourly.wind_direction_10m.push(hour.windDirection);
+            hourly.wind_gusts_10m.push(hour.windGust);
+            hourly.cloud_cover.push(hour.cloudCover);
+            if (withProbability) hourly.precipitation_probability.push(hour.precipitationProbability);
+        }
+
+        daily.time.push(key);
+        daily.weather_code.push(Math.max(...hours.map(hour => hour.weatherCode)));
+        daily.temperature_2m_max.push(Math.max(...hours.map(hour => hour.temperature)));
+        daily.temperature_2m_min.push(Math.min(...hours.map(hour => hour.temperature)));
+        daily.precipitation_sum.push(Math.round(hours.reduce((sum, hour) => sum + hour.precipitation, 0) * 100) / 100);
+        daily.wind_speed_10m_max.push(Math.max(...hours.map(hour => hour.windSpeed)));
+        if (withProbability) daily.precipitation_probability_max.push(Math.max(...hours.map(hour => hour.precipitationProbability)));
+    }
+
+    return { hourly, daily };
+}
+
+// Local wall-clock "now" as Open-Meteo reports it (zone-less ISO, 15-minute steps)
+function localNow() {
+    const now = new Date();
+    const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+    local.setUTCMinutes(Math.floor(local.getUTCMinutes() / 15) * 15, 0, 0);
+    return local.toISOString().slice(0, 16);
+}
+
+// Zone named in a response: "auto" (the location's zone) is the server's own zone, which
+// the synthetic weather's local times are in
+function responseZone(params) {
+    const zone = params.get('timezone');
+    if (zone === 'auto') return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return zone || 'GMT';
+}
+
+function forecast(params) {
+    const now = localNow();
+    const today = now.slice(0, 10);
+    const pastDays = Number(params.get('past_days')) || 0;
+    const forecastDays = Number(params.get('forecast_days')) || 7;
+    const { hourly, daily } = buildSeries(addDays(today, -pastDays), addDays(today, forecastDays - 1), true);
+
+    const hour = weatherAt(new Date(`${now.slice(0, 13)}:00:00Z`).getTime() / 3600000);
+    return {
+        latitude: Number(params.get('latitude')),
+        longitude: Number(params.get('longitude')),
+        timezone: responseZone(params),
+        current: {
+            time: now,
+            temperature_2m: hour.temperature,
+            relative_humidity_2m: hour.humidity,
+            apparent_temperature: hour.temperature,
+            precipitation: hour.precipitation,
+            weather_code: hour.weatherCode,
+            surface_pressure: hour.pressure,
+            wind_speed_10m: hour.windSpeed,
+            wind_direction_10m: hour.windDirection,
+            wind_gusts_10m: hour.windGust
+        },
+        hourly,
+        daily
+    };
+}
+
+// NWS gridpoint layer: hourly values run-length encoded as { validTime: "start/PTnH", value }
+function gridLayer(uom, times, values) {
+    const layer = { uom, values: [] };
+    values.forEach((value, i) => {
+        const last = layer.values[layer.values.length - 1];
+        if (last && JSON.stringify(last.value) === JSON.stringify(value)) {
+            last.hours++;
+        } else {
+            layer.values.push({ start: times[i], hours: 1, value });
+        }
+    });
+    layer.values = layer.values.map(item => ({
+        validTime: `${new Date(item.start).toISOString().replace('.000Z', '+00:00')}/PT${item.hours}H`,
+        value: item.value
+    }));
+    return layer;
+}
+
+// NWS /points/{lat},{lon}: every point shares one grid
+function points(host) {
+    return {
+        properties: {
+            forecastGridData: `http://${host}/gridpoints/ILN/1,1`,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        }
+    };
+}
+
+// NWS /gridpoints/... forecast layers in NWS units, from 12 hours ago through the next week.
+// Like the real grids, there is no pressure layer
+function gridpoints() {
+    const first = Math.floor(Date.now() / 3600000) * 3600000 - 12 * 3600000;
+    const times = [];
+    const hours = [];
+    for (let time = first; time < first + 8 * 24 * 3600000; time += 3600000) {
+        times.push(time);
+        hours.push(weatherAt((time - new Date(time).getTimezoneOffset() * 60000) / 3600000));
+    }
+    const round = value => Math.round(value * 100) / 100;
+    const celsius = hours.map(hour => round((hour.temperature - 32) * 5 / 9));
+
+    return {
+        properties: {
+            temperature: gridLayer('wmoUnit:degC', times, celsius),
+            apparentTemperature: gridLayer('wmoUnit:degC', times, celsius),
+            relativeHumidity: gridLayer('wmoUnit:percent', times, hours.map(hour => hour.humidity)),
+            probabilityOfPrecipitation: gridLayer('wmoUnit:percent', times, hours.map(hour => hour.precipitationProbability)),
+            quantitativePrecipitation: gridLayer('wmoUnit:mm', times, hours.map(hour => round(hour.precipitation * 25.4))),
+            windSpeed: gridLayer('wmoUnit:km_h-1', times, hours.map(hour => round(hour.windSpeed * 1.609344))),
+            windGust: gridLayer('wmoUnit:km_h-1', times, hours.map(hour => round(hour.windGust * 1.609344))),
+            windDirection: gridLayer('wmoUnit:degree_(angle)', times, hours.map(hour => hour.windDirection)),
+            skyCover: gridLayer('wmoUnit:percent', times, hours.map(hour => hour.cloudCover)),
+            weather: {
+                values: gridLayer(null, times, hours.map(hour => (hour.precipitation > 0
+                    ? [{ coverage: 'likely', weather: 'rain', intensity: 'moderate' }]
+                    : [{ coverage: null, weather: null, intensity: null }]))).values
+            }
+        }
+    };
+}
+
+// Open-Meteo's multi-model response: every hourly and daily field once per model, suffixed
+// with the model name
+function withModels(body, models, pastDays) {
+    const result = { latitude: body.latitude, longitude: body.longitude, timezone: body.timezone, hourly: { time: body.hourly.time }, daily: { time: body.daily.time } };
+    const firstHour = pastDays * 24;
+
+    models.forEach(model => {
+        const drift = MODELS[model] || { temperature: 0, pressure: 0, windSpeed: 0 };
+        Object.keys(body.hourly).filter(key => key !== 'time').forEach(key => {
+            result.hourly[`${key}_${model}`] = body.hourly[key].map((value, i) => {
+                const lead = Math.max(0, i - firstHour);
+                if (drift.hours && lead >= drift.hours) return null;
+                const days = lead / 24;
+                if (key === 'temperature_2m') return Math.round((value + drift.temperature * days) * 10) / 10;
+                if (key === 'surface_pressure') return Math.round((value + drift.pressure * days) * 10) / 10;
+                if (key === 'wind_speed_10m') return Math.max(0, Math.round((value + drift.windSpeed * days) * 10) / 10);
+                return value;
+            });
+        });
+        Object.keys(body.daily).filter(key => key !== 'time').forEach(key => {
+            result.daily[`${key}_${model}`] = body.daily[key];
+        });
+    });
+    return result;
+}
+
+function archive(params) {
+    const start = params.get('start_date');
+    const end = params.get('end_date');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(start || '') || !/^\d{4}-\d{2}-\d{2}$/.test(end || '') || start > end) {
+        return { error: true, reason: 'start_date and end_date must be YYYY-MM-DD, start first' };
+    }
+    return {
+        latitude: Number(params.get('latitude')),
+        longitude: Number(params.get('longitude')),
+        timezone: responseZone(params),
+        ...buildSeries(start, end, false)
+    };
+}
+
+// Open-Meteo matches names from the start, e.g. "Frank" finds Franklin and Franklin Furnace
+function search(params) {
+    const name = (params.get('name') || '').trim().toLowerCase();
+    const count = Number(params.get('count')) || 10;
+    const all = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'geocoding.json'))).results;
+    const results = all.filter(result => name && result.name.toLowerCase().startsWith(name)).slice(0, count);
+    return results.length ? { results: results } : {};
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+    const toRad = Math.PI / 180;
+    const a = Math.sin((lat2 - lat1) * toRad / 2) ** 2 +
+        Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin((lon2 - lon1) * toRad / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+// Nominatim-style reverse lookup: the nearest named place, or just the county
+function reverse(params) {
+    const latitude = Number(params.get('lat'));
+    const longitude = Number(params.get('lon'));
+    const nearest = PLACES
+        .map(place => ({ ...place, distance: distanceKm(latitude, longitude, place.latitude, place.longitude) }))
+        .sort((a, b) => a.distance - b.distance)[0];
+    const named = nearest.distance <= PLACE_RADIUS_KM;
+
+    return {
+        lat: String(latitude),
+        lon: String(longitude),
+        name: named ? nearest.name : '',
+        display_name: [named ? nearest.name : '', nearest.county, 'Ohio', 'United States'].filter(Boolean).join(', '),
+        address: { county: nearest.county, state: 'Ohio', country: 'United States', country_code: 'us' }
+    };
+}
+
+function send(res, status, type, body) {
+    res.writeHead(status, { 'Content-Type': type, 'Access-Control-Allow-Origin': '*' });
+    res.end(body);
+}
+
+function serveStatic(res, pathname) {
+    const file = path.normalize(path.join(ROOT, pathname === '/' ? 'index.html' : pathname));
+    if (!file.startsWith(ROOT)) {
+        send(res, 403, 'text/plain', 'Forbidden');
+        return;
+    }
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            send(res, 404, 'text/plain', 'Not found');
+            return;
+        }
+        send(res, 200, CONTENT_TYPES[path.extname(file)] || 'application/octet-stream', content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (url.pathname === '/v1/forecast' && url.searchParams.get('models')) {
+        const body = withModels(forecast(url.searchParams), url.searchParams.get('models').split(','), Number(url.searchParams.get('past_days')) || 0);
+        send(res, 200, 'application/json', JSON.stringify(body));
+    } else if (url.pathname === '/v1/forecast') {
+        send(res, 200, 'application/json', JSON.stringify(forecast(url.searchParams)));
+    } else if (url.pathname === '/v1/archive') {
+        const body = archive(url.searchParams);
+        send(res, body.error ? 400 : 200, 'application/json', JSON.stringify(body));
+    } else if (url.pathname === '/nwis/iv/' || url.pathname === '/nwis/iv') {
+        send(res, 200, 'application/json', JSON.stringify(instantaneousValues(url.searchParams)));
+    } else if (url.pathname.startsWith('/points/')) {
+        send(res, 200, 'application/geo+json', JSON.stringify(points(req.headers.host)));
+    } else if (url.pathname.startsWith('/gridpoints/')) {
+        send(res, 200, 'application/geo+json', JSON.stringify(gridpoints()));
+    } else if (url.pathname === '/v1/search') {
+        send(res, 200, 'application/json', JSON.stringify(search(url.searchParams)));
+    } else if (url.pathname === '/reverse') {
+        send(res, 200, 'application/json', JSON.stringify(reverse(url.searchParams)));
+    } else {
+        serveStatic(res, url.pathname);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Fixture server on http://localhost:${PORT}/?api=http://localhost:${PORT}`);
+});
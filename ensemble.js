@@ -0,0 +1,54 @@
+// Ensemble Module
+// Scores the same hours under several forecast models (WeatherAPI.getModelForecasts) and
+// summarises how well they agree: the median score, the low-high range across models and a
+// low-confidence flag when the range is wide. Later days usually spread the most
+
+class EnsembleScorer {
+    constructor(scorer) {
+        this.scorer = scorer;
+        this.config = scorer.config;
+        this.zone = scorer.zone;
+    }
+
+    // Hour score across the models that cover it (see `summarise`)
+    scoreHour(members, time, latitude, longitude, profile, context) {
+        const scores = members
+            .map(member => member.hourly.find(hour => hour.time.getTime() === time.getTime()))
+            .filter(Boolean)
+            .map(hour => this.scorer.scoreHourlyConditions(hour, hour.time, latitude, longitude, profile, context).totalScore);
+        return this.summarise(scores);
+    }
+
+    // Day score across the models that cover the whole day (a model that runs out partway,
+    // like HRRR, would score the day from its first few hours only)
+    scoreDay(members, date, latitude, longitude, profile, context) {
+        const days = members
+            .map(member => member.hourly.filter(hour => this.zone.isSameDay(hour.time, date)))
+            .filter(hours => hours.length > 0);
+        const fullDay = Math.max(0, ...days.map(hours => hours.length));
+
+        const scores = days
+            .filter(hours => hours.length === fullDay)
+            .map(hours => this.scorer.scoreDailyConditions({ hours: hours }, date, latitude, longitude, profile, context).totalScore);
+        return this.summarise(scores);
+    }
+
+    // { median, low, high, spread, count, lowConfidence }, or null with fewer than two models
+    summarise(scores) {
+        if (scores.length < 2) return null;
+
+        const sorted = [...scores].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        const spread = sorted[sorted.length - 1] - sorted[0];
+
+        return {
+            median: Math.round(median),
+            low: sorted[0],
+            high: sorted[sorted.length - 1],
+            spread: spread,
+            count: sorted.length,
+            lowConfidence: spread >= this.config.values.ensemble.lowConfidenceSpread
+        };
+    }
+}
@@ -0,0 +1,163 @@
+// Front Detection Module
+// Finds frontal passages in the hourly series and labels pre-frontal, frontal and post-frontal periods
+
+class FrontDetector {
+    // zone: the location's ZonedTime, for banner times
+    constructor(zone) {
+        this.zone = zone || new ZonedTime();
+
+        // Passage candidates: a pressure minimum that is the lowest point within ±6 hours,
+        // after a real fall and followed by a recovery
+        this.searchRadiusHours = 6;
+        this.minPressureDrop = 2;     // hPa fall over the preceding 12 hours
+        this.minPressureRecovery = 1; // hPa rise over the following 12 hours
+
+        // Supporting signals around the minimum
+        this.minWindShift = 45; // Degrees of veer (clockwise, e.g. SW -> NW)
+        this.minTempDrop = 5;   // °F cooler after passage
+
+        // Phase windows relative to passage (hours)
+        this.preFrontalHours = 18;
+        this.frontalHours = 2;
+        this.postFrontalHours = 36;
+    }
+
+    // Scan the hourly series for frontal passages
+    detectFronts(hourly) {
+        const fronts = [];
+        const radius = this.searchRadiusHours;
+
+        for (let i = radius; i < hourly.length - radius; i++) {
+            const pressure = hourly[i].pressure;
+            if (pressure === null || pressure === undefined) continue;
+
+            // Must be the lowest pressure in the search window (first hour wins ties)
+            const before = this.pressures(hourly, i - radius, i);
+            const after = this.pressures(hourly, i + 1, i + radius + 1);
+            if (before.some(p => p <= pressure) || after.some(p => p < pressure)) continue;
+
+            const drop = Math.max(...this.pressures(hourly, i - 12, i)) - pressure;
+            const recovery = Math.max(...this.pressures(hourly, i + 1, i + 13)) - pressure;
+            if (drop < this.minPressureDrop || recovery < this.minPressureRecovery) continue;
+
+            // Wind veer from the hours before to the hours after the minimum
+            const windBefore = this.meanDirection(hourly.slice(Math.max(0, i - 4), i));
+            const windAfter = this.meanDirection(hourly.slice(i + 1, i + 5));
+            const windShift = windBefore !== null && windAfter !== null
+                ? this.angleDifference(windBefore, windAfter)
+                : 0;
+
+            // Cooler air behind the front
+            const tempBefore = this.mean(hourly.slice(Math.max(0, i - 3), i + 1).map(hour => hour.temperature));
+            const tempAfter = this.mean(hourly.slice(i + 3, i + 7).map(hour => hour.temperature));
+            const tempDrop = tempBefore !== null && tempAfter !== null ? tempBefore - tempAfter : 0;
+
+            // Rain or snow starting in the hours leading up to passage
+            const onsetHour = hourly.slice(Math.max(0, i - radius), i + 3).find(hour => hour.precipitation > 0);
+
+            const signals = {
+                windShift: windShift >= this.minWindShift,
+                tempDrop: tempDrop >= this.minTempDrop,
+                precipitation: !!onsetHour
+            };
+            const signalCount = Object.values(signals).filter(Boolean).length;
+
+            // Pressure alone is just a trough - need at least one supporting signal
+            if (signalCount === 0) continue;
+
+            fronts.push({
+                type: signals.windShift || signals.tempDrop ? 'cold' : 'trough',
+                passage: hourly[i].time,
+                pressureMin: pressure,
+                pressureDrop: drop,
+                windShift: Math.round(windShift),
+                tempDrop: Math.round(tempDrop),
+                precipitationOnset: onsetHour ? onsetHour.time : null,
+                confidence: signalCount === 3 ? 'high' : signalCount === 2 ? 'moderate' : 'low',
+                preFrontalStart: this.offsetHours(hourly[i].time, -this.preFrontalHours),
+                frontalStart: this.offsetHours(hourly[i].time, -this.frontalHours),
+                frontalEnd: this.offsetHours(hourly[i].time, this.frontalHours),
+                postFrontalEnd: this.offsetHours(hourly[i].time, this.postFrontalHours)
+            });
+
+            i += radius; // One passage per trough
+        }
+
+        return fronts;
+    }
+
+    // Which frontal phase a moment falls in (null when no front is near)
+    getFrontalPhase(time, fronts) {
+        for (const front of fronts) {
+            if (time >= front.preFrontalStart && time < front.frontalStart) {
+                return { phase: 'pre-frontal', front, hoursFromPassage: (time - front.passage) / 3600000 };
+            }
+            if (time >= front.frontalStart && time <= front.frontalEnd) {
+                return { phase: 'frontal', front, hoursFromPassage: (time - front.passage) / 3600000 };
+            }
+            if (time > front.frontalEnd && time <= front.postFrontalEnd) {
+                return { phase: 'post-frontal', front, hoursFromPassage: (time - front.passage) / 3600000 };
+            }
+        }
+        return null;
+    }
+
+    // Fronts whose passage or feed window touches the day [dayStart, dayEnd)
+    getFrontsForDay(dayStart, dayEnd, fronts) {
+        return fronts.filter(front => front.preFrontalStart < dayEnd && front.frontalEnd >= dayStart);
+    }
+
+    // Banner text, e.g. "Cold front Thursday ~2 PM — feed window Wed evening to Thu noon"
+    describeFront(front) {
+        const name = front.type === 'cold' ? 'Cold front' : 'Pressure trough';
+        const day = this.zone.formatDate(front.passage, { weekday: 'long' });
+        const hour = this.zone.formatTime(front.passage, { hour: 'numeric', hour12: true });
+        return `${name} ${day} ~${hour} — feed window ${this.formatDayPart(front.preFrontalStart)} to ${this.formatDayPart(front.frontalStart)}`;
+    }
+
+    // "Wed evening", "Thu noon"
+    formatDayPart(time) {
+        const day = this.zone.formatDate(time, { weekday: 'short' });
+        const hour = this.zone.getHours(time);
+        let part = 'night';
+        if (hour < 5) part = 'overnight';
+        else if (hour < 11) part = 'morning';
+        else if (hour < 14) part = 'noon';
+        else if (hour < 17) part = 'afternoon';
+        else if (hour < 21) part = 'evening';
+        return `${day} ${part}`;
+    }
+
+    // Non-null pressures in [start, end)
+    pressures(hourly, start, end) {
+        return hourly.slice(Math.max(0, start), Math.max(0, end))
+            .map(hour => hour.pressure)
+            .filter(p => p !== null && p !== undefined);
+    }
+
+    mean(values) {
+        const valid = values.filter(v => v !== null && v !== undefined);
+        if (valid.length === 0) return null;
+        return valid.reduce((sum, v) => sum + v, 0) / valid.length;
+    }
+
+    // Circular mean of wind directions (degrees)
+    meanDirection(hours) {
+        const directions = hours.map(hour => hour.windDirection).filter(d => d !== null && d !== undefined);
+        if (directions.length === 0) return null;
+
+        const rad = Math.PI / 180;
+        const sin = directions.reduce((sum, d) => sum + Math.sin(d * rad), 0);
+        const cos = directions.reduce((sum, d) => sum + Math.cos(d * rad), 0);
+        return (Math.atan2(sin, cos) / rad + 360) % 360;
+    }
+
+    // Signed clockwise change from one direction to another (-180..180)
+    angleDifference(from, to) {
+        return ((to - from + 540) % 360) - 180;
+    }
+
+    offsetHours(time, hours) {
+        return new Date(time.getTime() + hours * 3600000);
+    }
+}
@@ -0,0 +1,85 @@
+// Geocoder Module
+// Place names to coordinates (Open-Meteo geocoding) and coordinates back to a display name
+// (OpenStreetMap Nominatim). Searches keep only matches in one state, so "Portsmouth"
+// means Portsmouth, Ohio and not Virginia or New Hampshire
+
+class Geocoder {
+    // options: { searchUrl, reverseUrl } to point at another server (e.g. dev/fixture-server.js)
+    constructor(options = {}) {
+        this.searchUrl = options.searchUrl || 'https://geocoding-api.open-meteo.com/v1/search';
+        this.reverseUrl = options.reverseUrl || 'https://nominatim.openstreetmap.org/reverse';
+        this.region = 'Ohio'; // Matched against the result's state (admin1)
+        this.maxResults = 10;
+        this.requestTimeoutMs = 15000;
+    }
+
+    // Matches for a place name inside the region, best first:
+    // [{ name, county, state, latitude, longitude, timeZone, label }]
+    async search(name) {
+        const params = new URLSearchParams({
+            name: name,
+            count: String(this.maxResults),
+            language: 'en',
+            format: 'json',
+            countryCode: 'US'
+        });
+        const data = await this.fetchJson(`${this.searchUrl}?${params}`);
+
+        return (data.results || [])
+            .filter(result => result.admin1 === this.region)
+            .map(result => ({
+                name: result.name,
+                county: result.admin2 || '',
+                state: result.admin1,
+                latitude: result.latitude,
+                longitude: result.longitude,
+                timeZone: result.timezone,
+                label: [result.name, result.admin2, result.admin1].filter(Boolean).join(', ')
+            }));
+    }
+
+    // Display name for a point: the nearest named place Nominatim knows - a park, forest or
+    // lake where there is one, otherwise the town or county - e.g. "Shawnee State Forest, Ohio".
+    // Points it can't name (or a failed lookup) fall back to the coordinates
+    async reverse(latitude, longitude) {
+        const fallback = { name: this.formatCoordinates(latitude, longitude), state: '' };
+        const params = new URLSearchParams({
+            lat: latitude.toFixed(5),
+            lon: longitude.toFixed(5),
+            format: 'jsonv2',
+            zoom: '14',
+            addressdetails: '1'
+        });
+
+        try {
+            const data = await this.fetchJson(`${this.reverseUrl}?${params}`);
+            const address = data.address || {};
+            const name = data.name || address.nature_reserve || address.park || address.leisure ||
+                address.village || address.town || address.city || address.hamlet || address.township || address.county;
+            return name ? { name: name, state: address.state || '' } : fallback;
+        } catch (error) {
+            console.error('Error reverse geocoding:', error);
+            return fallback;
+        }
+    }
+
+    // "38.7317, -82.9977"
+    formatCoordinates(latitude, longitude) {
+        return `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`;
+    }
+
+    // GET a JSON response, giving up after requestTimeoutMs
+    async fetchJson(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Geocoding request failed (${response.status})`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
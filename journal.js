@@ -0,0 +1,354 @@
+// Catch/Harvest Journal Module
+// Logged outcomes with a snapshot of conditions at the moment of the catch, stored in IndexedDB
+
+class CatchJournal {
+    // zone: the location's ZonedTime, for imported times that carry no zone
+    constructor(db, zone) {
+        this.db = db;
+        this.zone = zone || new ZonedTime();
+        this.entries = [];
+
+        // CSV layout: [header, path into the entry, type]
+        // JSON export keeps the full snapshot; CSV keeps the columns worth analysing
+        this.csvColumns = [
+            ['id', 'id', 'text'],
+            ['time', 'time', 'text'],
+            ['species', 'species', 'text'],
+            ['count', 'count', 'number'],
+            ['size', 'size', 'text'],
+            ['method', 'method', 'text'],
+            ['spot', 'spot.name', 'text'],
+            ['spot_id', 'spot.spotId', 'text'],
+            ['latitude', 'spot.latitude', 'number'],
+            ['longitude', 'spot.longitude', 'number'],
+            ['gps', 'spot.gps', 'boolean'],
+            ['notes', 'notes', 'text'],
+            ['score', 'snapshot.score.totalScore', 'number'],
+            ['score_profile', 'snapshot.score.profileId', 'text'],
+            ['score_phase', 'snapshot.score.phase', 'text'],
+            ['factor_temperature', 'snapshot.score.factors.temperature', 'number'],
+            ['factor_pressure', 'snapshot.score.factors.pressure', 'number'],
+            ['factor_weather', 'snapshot.score.factors.weather', 'number'],
+            ['factor_wind', 'snapshot.score.factors.wind', 'number'],
+            ['factor_solunar', 'snapshot.score.factors.solunar', 'number'],
+            ['factor_front', 'snapshot.score.factors.front', 'number'],
+            ['factor_water', 'snapshot.score.factors.water', 'number'],
+            ['temperature', 'snapshot.weather.temperature', 'number'],
+            ['humidity', 'snapshot.weather.humidity', 'number'],
+            ['precipitation', 'snapshot.weather.precipitation', 'number'],
+            ['weather_code', 'snapshot.weather.weatherCode', 'number'],
+            ['pressure', 'snapshot.weather.pressure', 'number'],
+            ['pressure_trend', 'snapshot.weather.pressureTrend.trend', 'text'],
+            ['pressure_change_3h', 'snapshot.weather.pressureTrend.change', 'number'],
+            ['wind_speed', 'snapshot.weather.windSpeed', 'number'],
+            ['wind_direction', 'snapshot.weather.windDirection', 'number'],
+            ['wind_gust', 'snapshot.weather.windGust', 'number'],
+            ['frontal_phase', 'snapshot.weather.front.phase', 'text'],
+            ['weather_as_of', 'snapshot.weatherAsOf', 'text'],
+            ['moon_phase', 'snapshot.moon.phase', 'number'],
+            ['moon_phase_name', 'snapshot.moon.phaseName', 'text'],
+            ['moon_illumination', 'snapshot.moon.illumination', 'number'],
+            ['solunar_rating', 'snapshot.solunar.rating', 'number'],
+            ['solunar_period', 'snapshot.solunar.period', 'text'],
+            ['solunar_prime', 'snapshot.solunar.prime', 'boolean'],
+            ['water_gauge', 'snapshot.water.gauge', 'text'],
+            ['water_temperature', 'snapshot.water.waterTemperature', 'number'],
+            ['water_discharge', 'snapshot.water.discharge', 'number'],
+            ['water_gauge_height', 'snapshot.water.gaugeHeight', 'number'],
+            ['water_flow_trend', 'snapshot.water.flowTrend', 'text'],
+            ['water_turbidity', 'snapshot.water.turbidity', 'text']
+        ];
+
+        // Extra columns accepted from plain outcome history: date, time, location, species, success
+        this.historyColumns = ['date', 'location', 'success'];
+        this.successWords = ['yes', 'y', 'true', 'success', 'hit', 'caught', 'harvested'];
+    }
+
+    // Read all entries from IndexedDB (newest first)
+    async load() {
+        this.entries = await this.db.getJournalEntries();
+        this.sortEntries();
+        return this.entries;
+    }
+
+    sortEntries() {
+        this.entries.sort((a, b) => b.time.localeCompare(a.time));
+    }
+
+    // Conditions at the moment of logging: weather, score breakdown, moon and solunar state,
+    // and the gauge readings when water data is loaded.
+    // Stored as plain JSON so the IndexedDB copy and the exported copy look the same
+    buildSnapshot(weatherData, score, moonData, solunarState, waterData) {
+        return {
+            weather: weatherData ? JSON.parse(JSON.stringify(weatherData.current)) : null,
+            weatherAsOf: weatherData && weatherData.fetchedAt ? weatherData.fetchedAt.toISOString() : null,
+            offline: weatherData ? !!weatherData.offline : true,
+            score: score ? this.snapshotScore(score) : null,
+            moon: {
+                phase: moonData.phase,
+                phaseName: moonData.phaseName,
+                illumination: moonData.illumination
+            },
+            solunar: {
+                rating: solunarState.rating,
+                period: solunarState.activePeriod ? solunarState.activePeriod.type : null,
+                prime: solunarState.prime
+            },
+            water: waterData ? {
+                gauge: waterData.site.name,
+                gaugeId: waterData.site.id,
+                waterTemperature: waterData.waterTemperature ? waterData.waterTemperature.value : null,
+                discharge: waterData.discharge ? waterData.discharge.value : null,
+                gaugeHeight: waterData.gaugeHeight ? waterData.gaugeHeight.value : null,
+                flowTrend: waterData.flow ? waterData.flow.trend : null,
+                turbidity: waterData.turbidity ? waterData.turbidity.risk : null,
+                readingTime: waterData.readingTime.toISOString()
+            } : null
+        };
+    }
+
+    // Conditions for an imported outing, rebuilt from the archived hour it happened in
+    // (see Backtester.run). The archive has no moon, solunar or gauge readings to keep
+    buildArchivedSnapshot(hour, score) {
+        return {
+            weather: JSON.parse(JSON.stringify(hour)),
+            weatherAsOf: null,
+            offline: false,
+            archived: true,
+            score: this.snapshotScore(score),
+            moon: null,
+            solunar: null,
+            water: null
+        };
+    }
+
+    snapshotScore(score) {
+        return {
+            totalScore: score.totalScore,
+            profileId: score.profile.id,
+            phase: score.profile.phase ? score.profile.phase.id : null,
+            factors: { ...score.factors },
+            weights: { ...score.weights }
+        };
+    }
+
+    // Log a new outcome; fields = { species, count, size, method, notes, spot }
+    async addEntry(fields, snapshot) {
+        const entry = {
+            id: `entry-${Date.now()}`,
+            time: new Date().toISOString(),
+            ...this.cleanFields(fields),
+            snapshot: snapshot
+        };
+        await this.db.saveJournalEntry(entry);
+        this.entries.push(entry);
+        this.sortEntries();
+        return entry;
+    }
+
+    // Edit what was logged - the conditions snapshot stays as it was at the time
+    async updateEntry(id, fields) {
+        const entry = this.getEntry(id);
+        if (!entry) return null;
+
+        Object.assign(entry, this.cleanFields({ ...entry, ...fields }));
+        await this.db.saveJournalEntry(entry);
+        return entry;
+    }
+
+    async removeEntry(id) {
+        await this.db.deleteJournalEntry(id);
+        this.entries = this.entries.filter(entry => entry.id !== id);
+    }
+
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    // Normalise user-entered fields (a count of 0 is a valid "skunked" entry)
+    cleanFields(fields) {
+        const count = Number(fields.count);
+        return {
+            species: fields.species,
+            count: Number.isFinite(count) && count >= 0 ? Math.round(count) : 0,
+            size: String(fields.size ?? '').trim(),
+            method: String(fields.method ?? '').trim(),
+            notes: String(fields.notes ?? '').trim(),
+            spot: fields.spot
+        };
+    }
+
+    // Entries matching a filter: { species, spotName, from, to } (dates as YYYY-MM-DD at the location)
+    getEntries(filter = {}) {
+        return this.entries.filter(entry => {
+            if (filter.species && entry.species !== filter.species) return false;
+            if (filter.spotName && entry.spot.name !== filter.spotName) return false;
+            const date = filter.from || filter.to ? this.zone.dayKey(new Date(entry.time)) : null;
+            if (filter.from && date < filter.from) return false;
+            if (filter.to && date > filter.to) return false;
+            return true;
+        });
+    }
+
+    // Distinct spot names, for the filter picker
+    getSpotNames() {
+        return [...new Set(this.entries.map(entry => entry.spot.name))].sort();
+    }
+
+    toJSON(entries) {
+        return JSON.stringify(entries, null, 2);
+    }
+
+    toCSV(entries) {
+        const header = this.csvColumns.map(([name]) => name).join(',');
+        const rows = entries.map(entry => this.csvColumns
+            .map(([, path]) => this.escapeCSV(this.getPath(entry, path)))
+            .join(','));
+        return [header, ...rows].join('\n');
+    }
+
+    // Parse an export back into entries (CSV rows rebuild the snapshot from their columns)
+    parseImport(text, format) {
+        if (format === 'json') {
+            const entries = JSON.parse(text);
+            if (!Array.isArray(entries)) {
+                throw new Error('Journal JSON must be a list of entries');
+            }
+            return entries.map(entry => this.fromHistoryRow(entry));
+        }
+
+        const [header = [], ...rows] = this.parseCSV(text);
+        const names = header.map(name => name.trim().toLowerCase());
+        const columns = names.map(name => this.csvColumns.find(([column]) => column === name) || null);
+        return rows.map(values => {
+            const entry = {};
+            columns.forEach((column, i) => {
+                if (!column) {
+                    if (this.historyColumns.includes(names[i]) && values[i]) {
+                        entry[names[i]] = values[i];
+                    }
+                    return;
+                }
+                const value = this.parseValue(values[i], column[2]);
+                if (value !== null) {
+                    this.setPath(entry, column[1], value);
+                }
+            });
+            return this.fromHistoryRow(entry);
+        });
+    }
+
+    // Turn a plain outcome-history row (date, time, location, species, success) into entry fields.
+    // Rows like this have no conditions snapshot until one is rebuilt from archived weather
+    fromHistoryRow(row) {
+        if (!this.historyColumns.some(name => row[name] !== undefined)) {
+            return row;
+        }
+
+        const { date, location, success, ...entry } = row;
+        if (date) {
+            const clock = String(entry.time || '').match(/^(\d{1,2}):(\d{2})/);
+            entry.time = `${date}T${clock ? `${clock[1].padStart(2, '0')}:${clock[2]}` : '12:00'}`;
+        }
+        if (success !== undefined && entry.count === undefined) {
+            const text = String(success).trim().toLowerCase();
+            entry.count = /^\d+$/.test(text) ? Number(text) : this.successWords.includes(text) ? 1 : 0;
+        }
+        if (location) {
+            entry.spot = { name: String(location), ...entry.spot };
+        }
+        return entry;
+    }
+
+    // Add imported entries, replacing any with the same id; returns how many were stored
+    async importEntries(entries) {
+        let imported = 0;
+        for (const raw of entries) {
+            const time = raw ? this.zone.parseTimestamp(raw.time) : null;
+            if (!raw || !raw.species || isNaN(time)) continue;
+
+            // Every entry needs a spot with a name (the list, filters and calibration read it)
+            const spot = raw.spot && typeof raw.spot === 'object' && !Array.isArray(raw.spot) ? raw.spot : {};
+            const entry = {
+                id: raw.id || `entry-${Date.now()}-${imported}`,
+                time: time.toISOString(),
+                ...this.cleanFields({ ...raw, spot: { ...spot, name: spot.name ? String(spot.name) : 'Unknown' } }),
+                snapshot: raw.snapshot || null
+            };
+            await this.db.saveJournalEntry(entry);
+            this.entries = this.entries.filter(existing => existing.id !== entry.id);
+            this.entries.push(entry);
+            imported++;
+        }
+        this.sortEntries();
+        return imported;
+    }
+
+    getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+    }
+
+    setPath(object, path, value) {
+        const keys = path.split('.');
+        let target = object;
+        keys.slice(0, -1).forEach(key => {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    }
+
+    parseValue(value, type) {
+        if (value === undefined || value === '') return null;
+        if (type === 'number') return Number(value);
+        if (type === 'boolean') return value === 'true';
+        return value;
+    }
+
+    escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Minimal RFC 4180 parser: quoted fields may hold commas, quotes and newlines
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(values => values.some(value => value !== ''));
+    }
+}
@@ -0,0 +1,119 @@
+// Saved Locations Module
+// Named hunting/fishing spots with coordinates and per-spot preferences, stored in localStorage
+
+class LocationStore {
+    constructor() {
+        this.storageKey = 'huntfish.locations';
+        this.activeKey = 'huntfish.activeLocation';
+
+        // Used when nothing has been saved yet
+        this.defaultLocation = {
+            city: 'Cincinnati',
+            latitude: 39.1031,
+            longitude: -84.5120,
+            timeZone: 'America/New_York'
+        };
+
+        this.spots = this.loadSpots();
+        this.activeSpotId = localStorage.getItem(this.activeKey) || null;
+    }
+
+    // Read saved spots from localStorage
+    loadSpots() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error reading saved locations:', error);
+            return [];
+        }
+    }
+
+    saveSpots() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.spots));
+    }
+
+    getSpots() {
+        return this.spots;
+    }
+
+    getSpot(id) {
+        return this.spots.find(spot => spot.id === id) || null;
+    }
+
+    // Save a named spot; preferences hold e.g. { species, standId }. timeZone is the spot's
+    // IANA zone when known (spots saved before it was kept pick it up from their forecast)
+    addSpot(name, latitude, longitude, preferences, timeZone) {
+        const spot = {
+            id: `spot-${Date.now()}`,
+            name: name,
+            latitude: latitude,
+            longitude: longitude,
+            timeZone: timeZone,
+            preferences: { ...(preferences || {}) }
+        };
+        this.spots.push(spot);
+        this.saveSpots();
+        return spot;
+    }
+
+    // The saved spot at a point (links carry coordinates to four decimal places)
+    findSpot(latitude, longitude) {
+        return this.spots.find(spot => {
+            return Math.abs(spot.latitude - latitude) < 0.0001 && Math.abs(spot.longitude - longitude) < 0.0001;
+        }) || null;
+    }
+
+    removeSpot(id) {
+        this.spots = this.spots.filter(spot => spot.id !== id);
+        if (this.activeSpotId === id) {
+            this.setActiveSpot(null);
+        }
+        this.saveSpots();
+    }
+
+    // Merge new preference values into a spot
+    updatePreferences(id, preferences) {
+        const spot = this.getSpot(id);
+        if (!spot) return;
+        spot.preferences = { ...spot.preferences, ...preferences };
+        this.saveSpots();
+    }
+
+    // Record a spot's zone once its forecast names it (spots saved without one)
+    setTimeZone(id, timeZone) {
+        const spot = this.getSpot(id);
+        if (!spot || !timeZone || spot.timeZone === timeZone) return;
+        spot.timeZone = timeZone;
+        this.saveSpots();
+    }
+
+    getActiveSpot() {
+        return this.getSpot(this.activeSpotId);
+    }
+
+    setActiveSpot(id) {
+        this.activeSpotId = id;
+        if (id) {
+            localStorage.setItem(this.activeKey, id);
+        } else {
+            localStorage.removeItem(this.activeKey);
+        }
+    }
+
+    // Location object used by the app for a saved spot
+    toLocation(spot) {
+        return {
+            city: spot.name,
+            latitude: spot.latitude,
+            longitude: spot.longitude,
+            timeZone: spot.timeZone,
+            spotId: spot.id
+        };
+    }
+
+    // Location to open with: the last active spot, else the default city
+    getStartLocation() {
+        const spot = this.getActiveSpot();
+        return spot ? this.toLocation(spot) : { ...this.defaultLocation };
+    }
+}
@@ -0,0 +1,78 @@
+// Map Module
+// Leaflet map for picking a location: clicking drops a pin, and the pin follows whatever
+// location is on screen. Leaflet comes from a CDN, so with no signal the map is unavailable
+// and the name search and GPS button still work
+
+class LocationMap {
+    // tileUrl: Leaflet tile URL template, e.g. "https://tile.openstreetmap.org/{z}/{x}/{y}.png"
+    constructor(containerId, tileUrl) {
+        this.containerId = containerId;
+        this.defaultTileUrl = 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+        this.tileUrl = tileUrl || this.defaultTileUrl;
+        this.center = [39.0, -83.0]; // Southern Ohio, before any pin
+        this.pinZoom = 11;
+        this.map = null;
+        this.tiles = null;
+        this.marker = null;
+        this.pin = null; // { latitude, longitude, label }, kept until the map exists
+        this.onPick = null; // Called with (latitude, longitude) when the map is clicked
+    }
+
+    isAvailable() {
+        return typeof L !== 'undefined';
+    }
+
+    // Build the map the first time its panel opens (Leaflet can't measure a hidden
+    // container), and re-measure it on later opens. False when Leaflet didn't load
+    show() {
+        if (!this.isAvailable()) return false;
+
+        if (!this.map) {
+            this.map = L.map(this.containerId).setView(this.center, 8);
+            this.setTileUrl(this.tileUrl);
+            this.map.on('click', (e) => {
+                if (this.onPick) {
+                    this.onPick(e.latlng.lat, e.latlng.lng);
+                }
+            });
+        } else {
+            this.map.invalidateSize();
+        }
+
+        if (this.pin) {
+            this.setPin(this.pin.latitude, this.pin.longitude, this.pin.label);
+        }
+        return true;
+    }
+
+    // Move the pin (and the view) to a location
+    setPin(latitude, longitude, label) {
+        this.pin = { latitude: latitude, longitude: longitude, label: label };
+        if (!this.map) return;
+
+        if (this.marker) {
+            this.marker.setLatLng([latitude, longitude]);
+        } else {
+            this.marker = L.marker([latitude, longitude]).addTo(this.map);
+        }
+        // Tooltips render strings as HTML, and the label can come from a shared link
+        const text = document.createElement('span');
+        text.textContent = label;
+        this.marker.bindTooltip(text);
+        this.map.setView([latitude, longitude], Math.max(this.map.getZoom(), this.pinZoom));
+    }
+
+    // Swap the tile layer ('' or null = OpenStreetMap)
+    setTileUrl(url) {
+        this.tileUrl = url || this.defaultTileUrl;
+        if (!this.map) return;
+
+        if (this.tiles) {
+            this.tiles.remove();
+        }
+        const attribution = this.tileUrl === this.defaultTileUrl
+            ? '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            : '';
+        this.tiles = L.tileLayer(this.tileUrl, { maxZoom: 18, attribution: attribution }).addTo(this.map);
+    }
+}
@@ -0,0 +1,125 @@
+// Seasonal Phases Module
+// Where a date falls in the deer rut or a fish species' spawn, keyed on calendar date and
+// latitude. The scorer shifts the species profile for the phase (config.js holds the
+// adjustments) and the analysis wording follows it
+
+class SeasonalPhases {
+    // zone: the location's ZonedTime, which decides the calendar date
+    constructor(zone) {
+        this.zone = zone || new ZonedTime();
+
+        // Timings are for this latitude and shift north/south of it
+        this.referenceLatitude = 40;
+
+        // Phases are day ranges relative to the peak (negative = before)
+        this.models = {
+            rut: {
+                peak: { month: 11, day: 12 }, // Peak breeding in Ohio
+                daysPerDegreeSouth: 1.5,      // Rough rule: later to the south
+                maxShiftDays: 20,
+                phases: [
+                    {
+                        id: 'pre-rut', name: 'Pre-rut', emoji: '🍂', from: -45, to: -22,
+                        summary: 'Bucks are on food sources and making scrapes; cold fronts and falling temperatures get them moving in daylight.',
+                        temperature: {
+                            good: 'Cool weather keeps pre-rut bucks on their feet in daylight.',
+                            poor: 'Warm pre-rut weather keeps bucks bedded until dark.'
+                        }
+                    },
+                    {
+                        id: 'seeking', name: 'Seeking', emoji: '👃', from: -21, to: -11,
+                        summary: 'Bucks are cruising for the first does in heat - mid-day movement picks up.',
+                        temperature: {
+                            poor: 'Warm, but seeking bucks still cruise - hunt the downwind edges of bedding areas.'
+                        }
+                    },
+                    {
+                        id: 'chasing', name: 'Chasing', emoji: '🏃', from: -10, to: -4,
+                        summary: 'Bucks chase does all day; weather matters less than time on stand.',
+                        temperature: {
+                            good: 'Cold chasing-phase weather - about as good as deer hunting gets.',
+                            fair: 'Mild for the chase, but bucks are moving anyway.',
+                            poor: 'Warm for the chase, but bucks move anyway - sit all day if you can.'
+                        }
+                    },
+                    {
+                        id: 'peak-breeding', name: 'Peak breeding', emoji: '💞', from: -3, to: 7,
+                        summary: 'Most bucks are locked down with does; movement drops until the next doe comes into heat.'
+                    },
+                    {
+                        id: 'post-rut', name: 'Post-rut', emoji: '🥶', from: 8, to: 35,
+                        summary: 'Worn-out bucks feed hard to recover; cold snaps and food sources are the key.',
+                        temperature: {
+                            good: 'Cold post-rut weather pushes bucks to food in daylight.',
+                            poor: 'Mild post-rut weather - bucks rest and feed after dark.'
+                        }
+                    }
+                ]
+            },
+            spawn: {
+                // Peak comes from the species profile (spawnPeak)
+                daysPerDegreeSouth: -3, // Water warms earlier to the south
+                maxShiftDays: 30,
+                phases: [
+                    {
+                        id: 'pre-spawn', name: 'Pre-spawn', emoji: '🐟', from: -44, to: -15,
+                        summary: 'Fish are staging and feeding heavily ahead of the spawn; warming trends turn them on.',
+                        temperature: {
+                            good: 'Warming weather - pre-spawn fish are feeding.',
+                            poor: 'A cold snap pushes pre-spawn fish back to deeper water.'
+                        }
+                    },
+                    {
+                        id: 'spawn', name: 'Spawn', emoji: '🪺', from: -14, to: 14,
+                        summary: 'Fish are on beds and guard rather than feed - work the shallow spawning flats slowly.',
+                        temperature: {
+                            poor: 'A cold front can push spawners off the beds.'
+                        }
+                    },
+                    {
+                        id: 'post-spawn', name: 'Post-spawn', emoji: '🔄', from: 15, to: 35,
+                        summary: 'Fish recover in deeper water after the spawn; feeding picks up as they settle.'
+                    }
+                ]
+            }
+        };
+    }
+
+    // Phase for a profile at a date and latitude (null outside every phase, or for species
+    // without a seasonal model)
+    getPhase(profile, date, latitude) {
+        const model = this.models[profile.phaseModel];
+        const peak = profile.phaseModel === 'spawn' ? profile.spawnPeak : model && model.peak;
+        if (!model || !peak) return null;
+
+        const shift = Math.max(-model.maxShiftDays, Math.min(model.maxShiftDays,
+            (this.referenceLatitude - latitude) * model.daysPerDegreeSouth));
+
+        // Days from the nearest peak (last year's, this year's or next year's)
+        const parts = this.zone.getParts(date);
+        const day = this.dayNumber(parts.year, parts.month, parts.day);
+        const offsets = [-1, 0, 1].map(years => {
+            return day - (this.dayNumber(parts.year + years, peak.month, peak.day) + shift);
+        });
+        const offset = offsets.reduce((best, value) => (Math.abs(value) < Math.abs(best) ? value : best));
+
+        const phase = model.phases.find(item => offset >= item.from && offset <= item.to);
+        if (!phase) return null;
+        return { ...phase, model: profile.phaseModel, daysFromPeak: Math.round(offset) };
+    }
+
+    // Days since 1970-01-01 for a calendar date
+    dayNumber(year, month, day) {
+        return Date.UTC(year, month - 1, day) / 86400000;
+    }
+
+    // "🏃 Chasing (peak breeding in 6 days)"
+    describe(phase) {
+        const label = phase.model === 'rut' ? 'peak breeding' : 'peak spawn';
+        const days = Math.abs(phase.daysFromPeak);
+        const when = phase.daysFromPeak === 0 ? `${label} today`
+            : phase.daysFromPeak < 0 ? `${label} in ${days} day${days === 1 ? '' : 's'}`
+            : `${days} day${days === 1 ? '' : 's'} after ${label}`;
+        return `${phase.emoji} ${phase.name} (${when})`;
+    }
+}
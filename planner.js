@@ -0,0 +1,112 @@
+// Trip Planner Module
+// Best trip windows across the forecast: slides a trip length over the hourly scores and
+// keeps the top non-overlapping windows, with the solunar periods and sunrise/sunset inside
+
+class TripPlanner {
+    constructor(scorer, solarCalc) {
+        this.scorer = scorer;
+        this.solunarCalc = scorer.solunarCalc;
+        this.solarCalc = solarCalc;
+        this.zone = scorer.zone;
+
+        // Starting options for the planner panel
+        this.defaults = {
+            hours: 3,            // Trip length
+            count: 5,            // Windows to return
+            minScore: 0,         // Lowest average score worth listing
+            weekdaysOnly: false,
+            afterHour: null      // Only windows starting at or after this hour (16 = 4 PM)
+        };
+    }
+
+    // Top windows over forecast hours. options: see `defaults`, plus allowHour(hour) to leave
+    // out hours that can't be fished or hunted (e.g. outside legal light or season)
+    findWindows(hourly, latitude, longitude, profile, context, options = {}) {
+        const settings = { ...this.defaults, ...options };
+        const length = Math.max(1, Math.round(settings.hours));
+
+        const scored = hourly.map(hour => ({
+            hour: hour,
+            score: this.scorer.scoreHourlyConditions(hour, hour.time, latitude, longitude, profile, context).totalScore,
+            allowed: this.isAllowedHour(hour.time, settings) && (!settings.allowHour || settings.allowHour(hour))
+        }));
+
+        // Every run of `length` back-to-back allowed hours
+        const candidates = [];
+        for (let i = 0; i + length <= scored.length; i++) {
+            const run = scored.slice(i, i + length);
+            if (!run.every(item => item.allowed) || !this.isContiguous(run)) continue;
+            if (settings.afterHour !== null && this.zone.getHours(run[0].hour.time) < settings.afterHour) continue;
+
+            const score = run.reduce((sum, item) => sum + item.score, 0) / length;
+            if (score < settings.minScore) continue;
+            candidates.push({ index: i, run: run, score: score });
+        }
+
+        // Best first, skipping any window that overlaps one already picked
+        candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+        const picked = [];
+        candidates.forEach(candidate => {
+            if (picked.length >= settings.count) return;
+            const overlaps = picked.some(other => {
+                return candidate.index < other.index + length && other.index < candidate.index + length;
+            });
+            if (!overlaps) picked.push(candidate);
+        });
+
+        return picked.map(candidate => this.describeWindow(candidate, latitude, longitude));
+    }
+
+    // Weekdays-only constraint for one hour
+    isAllowedHour(time, settings) {
+        const day = this.zone.getDay(time);
+        return !(settings.weekdaysOnly && (day === 0 || day === 6));
+    }
+
+    // Hours follow each other with no gap (forecasts can skip hours, e.g. over a DST change)
+    isContiguous(run) {
+        return run.every((item, i) => i === 0 || item.hour.time - run[i - 1].hour.time === 3600000);
+    }
+
+    // { start, end, score, low, high, hours, solunar, sun }
+    describeWindow(candidate, latitude, longitude) {
+        const run = candidate.run;
+        const start = run[0].hour.time;
+        const end = new Date(run[run.length - 1].hour.time.getTime() + 3600000);
+        const scores = run.map(item => item.score);
+
+        return {
+            start: start,
+            end: end,
+            score: Math.round(candidate.score),
+            low: Math.min(...scores),
+            high: Math.max(...scores),
+            hours: run.map(item => ({ time: item.hour.time, score: item.score })),
+            solunar: this.getSolunarOverlap(start, end, latitude, longitude),
+            sun: this.getSunEvents(start, end, latitude, longitude)
+        };
+    }
+
+    // Solunar periods that overlap a window
+    getSolunarOverlap(start, end, latitude, longitude) {
+        return this.solunarCalc.getPeriodsAround(start, latitude, longitude)
+            .filter(period => period.start < end && period.end > start)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    // Sunrise and sunset falling inside a window: [{ name, time }]
+    getSunEvents(start, end, latitude, longitude) {
+        const days = [start, new Date(end.getTime() - 1)]
+            .filter((day, i, list) => i === 0 || !this.zone.isSameDay(day, list[0]));
+
+        const events = [];
+        days.forEach(day => {
+            const times = this.solarCalc.getSunTimes(day, latitude, longitude);
+            ['sunrise', 'sunset'].forEach(name => {
+                const time = times[name];
+                if (time && time >= start && time < end) events.push({ name: name, time: time });
+            });
+        });
+        return events;
+    }
+}
@@ -0,0 +1,429 @@
+// Weather Providers Module
+// Each provider fetches a forecast from one source and normalises it into the series
+// WeatherAPI processes, so the rest of the app never sees a source's own field names:
+//
+//   {
+//     source, timezone,
+//     pastDays,  // Lead-in days at the start of `daily` (history for pressure tendencies)
+//     current: { time, temperature, feelsLike, humidity, precipitation, weatherCode,
+//                pressure, windSpeed, windDirection, windGust },
+//     hourly:  { time: [], temperature: [], humidity: [], precipitationProb: [], precipitation: [],
+//                weatherCode: [], pressure: [], windSpeed: [], windDirection: [], windGust: [], cloudCover: [] },
+//     daily:   { time: [], weatherCode: [], tempMax: [], tempMin: [], precipitationSum: [],
+//                precipitationProb: [], windSpeedMax: [] }
+//   }
+//
+// Times are zone-less local ISO strings ("2026-10-19T14:00", days "2026-10-19"); units are
+// °F, mph, inches, hPa and WMO weather codes. A value the source doesn't forecast is null
+// (the scorer leaves that factor out)
+
+class WeatherProvider {
+    constructor(options = {}) {
+        this.requestTimeoutMs = options.requestTimeoutMs || 15000;
+    }
+
+    // GET a JSON response, giving up after requestTimeoutMs
+    async fetchJson(url, headers) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+        try {
+            const response = await fetch(url, { signal: controller.signal, headers: headers });
+            if (!response.ok) {
+                throw new Error(`${this.name} request failed (${response.status})`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Daily summaries built from hourly series, for sources without a daily forecast
+    summariseDays(hourly) {
+        const daily = {
+            time: [], weatherCode: [], tempMax: [], tempMin: [], precipitationSum: [],
+            precipitationProb: [], windSpeedMax: []
+        };
+        const present = values => values.filter(value => value !== null && value !== undefined);
+
+        const keys = [...new Set(hourly.time.map(time => time.slice(0, 10)))];
+        keys.forEach(key => {
+            const indexes = hourly.time.map((time, i) => (time.startsWith(key) ? i : -1)).filter(i => i !== -1);
+            const pick = name => present(indexes.map(i => hourly[name][i]));
+            const temperatures = pick('temperature');
+            if (temperatures.length === 0) return;
+
+            daily.time.push(key);
+            daily.weatherCode.push(Math.max(...pick('weatherCode')));
+            daily.tempMax.push(Math.max(...temperatures));
+            daily.tempMin.push(Math.min(...temperatures));
+            daily.precipitationSum.push(Math.round(pick('precipitation').reduce((sum, value) => sum + value, 0) * 100) / 100);
+            daily.precipitationProb.push(Math.max(0, ...pick('precipitationProb')));
+            daily.windSpeedMax.push(Math.max(0, ...pick('windSpeed')));
+        });
+        return daily;
+    }
+}
+
+// Open-Meteo (free, no API key): forecast and archive
+class OpenMeteoProvider extends WeatherProvider {
+    // options: { baseUrl, archiveUrl } to point at another server (e.g. dev/fixture-server.js)
+    constructor(options = {}) {
+        super(options);
+        this.id = 'open-meteo';
+        this.name = 'Open-Meteo';
+        this.baseUrl = options.baseUrl || 'https://api.open-meteo.com/v1/forecast';
+        this.archiveUrl = options.archiveUrl || 'https://archive-api.open-meteo.com/v1/archive';
+        this.timezone = 'auto'; // Times come back in the location's own zone, named in the response
+
+        // Models fetched side by side for confidence bands (HRRR only reaches ~48 hours out)
+        this.models = {
+            gfs_seamless: 'GFS',
+            ecmwf_ifs025: 'ECMWF',
+            icon_seamless: 'ICON',
+            gem_seamless: 'GEM',
+            gfs_hrrr: 'HRRR'
+        };
+    }
+
+    async fetchForecast(latitude, longitude, pastDays) {
+        const params = new URLSearchParams({
+            latitude: latitude,
+            longitude: longitude,
+            current: 'temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m',
+            hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,precipitation,weather_code,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cloud_cover',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
+            temperature_unit: 'fahrenheit',
+            wind_speed_unit: 'mph',
+            precipitation_unit: 'inch',
+            timezone: this.timezone,
+            past_days: pastDays,
+            forecast_days: 7
+        });
+
+        return this.normalize(await this.fetchJson(`${this.baseUrl}?${params}`), pastDays);
+    }
+
+    // The same forecast from several models at once: [{ model, name, data }] with `data`
+    // normalised (no current conditions). Hours past a model's range are null
+    async fetchModels(latitude, longitude, pastDays, models = Object.keys(this.models)) {
+        const params = new URLSearchParams({
+            latitude: latitude,
+            longitude: longitude,
+            hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,precipitation,weather_code,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cloud_cover',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
+            models: models.join(','),
+            temperature_unit: 'fahrenheit',
+            wind_speed_unit: 'mph',
+            precipitation_unit: 'inch',
+            timezone: this.timezone,
+            past_days: pastDays,
+            forecast_days: 7
+        });
+
+        const data = await this.fetchJson(`${this.baseUrl}?${params}`);
+        return models.map(model => ({
+            model: model,
+            name: this.models[model] || model,
+            data: this.normalize(models.length > 1 ? this.pickModel(data, model) : data, pastDays)
+        }));
+    }
+
+    // One model's series out of a multi-model response, whose fields carry a model suffix
+    // ("temperature_2m_gfs_seamless")
+    pickModel(data, model) {
+        const pick = section => {
+            const picked = { time: section.time };
+            Object.keys(section).forEach(key => {
+                if (key.endsWith(`_${model}`)) picked[key.slice(0, -model.length - 1)] = section[key];
+            });
+            return picked;
+        };
+        return { timezone: data.timezone, hourly: pick(data.hourly), daily: pick(data.daily) };
+    }
+
+    // Archived weather for a date range (YYYY-MM-DD, inclusive) - no current conditions
+    async fetchHistory(latitude, longitude, startDate, endDate, pastDays) {
+        const params = new URLSearchParams({
+            latitude: latitude,
+            longitude: longitude,
+            start_date: startDate,
+            end_date: endDate,
+            hourly: 'temperature_2m,relative_humidity_2m,precipitation,weather_code,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m,cloud_cover',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,wind_speed_10m_max',
+            temperature_unit: 'fahrenheit',
+            wind_speed_unit: 'mph',
+            precipitation_unit: 'inch',
+            timezone: this.timezone
+        });
+
+        return this.normalize(await this.fetchJson(`${this.archiveUrl}?${params}`), pastDays);
+    }
+
+    // Open-Meteo field names -> normalised series
+    normalize(data, pastDays) {
+        const hourly = data.hourly;
+        const daily = data.daily;
+        const current = data.current;
+
+        return {
+            source: this.id,
+            timezone: data.timezone,
+            pastDays: pastDays,
+            current: current ? {
+                time: current.time,
+                temperature: current.temperature_2m,
+                feelsLike: current.apparent_temperature,
+                humidity: current.relative_humidity_2m,
+                precipitation: current.precipitation,
+                weatherCode: current.weather_code,
+                pressure: current.surface_pressure,
+                windSpeed: current.wind_speed_10m,
+                windDirection: current.wind_direction_10m,
+                windGust: current.wind_gusts_10m
+            } : null,
+            hourly: {
+                time: hourly.time,
+                temperature: hourly.temperature_2m,
+                humidity: hourly.relative_humidity_2m,
+                precipitationProb: hourly.precipitation_probability || hourly.time.map(() => 0), // Not in the archive
+                precipitation: hourly.precipitation,
+                weatherCode: hourly.weather_code,
+                pressure: hourly.surface_pressure,
+                windSpeed: hourly.wind_speed_10m,
+                windDirection: hourly.wind_direction_10m,
+                windGust: hourly.wind_gusts_10m,
+                cloudCover: hourly.cloud_cover
+            },
+            daily: {
+                time: daily.time,
+                weatherCode: daily.weather_code,
+                tempMax: daily.temperature_2m_max,
+                tempMin: daily.temperature_2m_min,
+                precipitationSum: daily.precipitation_sum,
+                precipitationProb: daily.precipitation_probability_max || daily.time.map(() => 0),
+                windSpeedMax: daily.wind_speed_10m_max
+            }
+        };
+    }
+}
+
+// National Weather Service (api.weather.gov, US only): the raw gridpoint forecast.
+// The grid has no pressure forecast, so pressure and fronts drop out of the score
+class NWSProvider extends WeatherProvider {
+    // options: { baseUrl } to point at another server (e.g. dev/fixture-server.js)
+    constructor(options = {}) {
+        super(options);
+        this.id = 'nws';
+        this.name = 'National Weather Service';
+        this.baseUrl = options.baseUrl || 'https://api.weather.gov';
+        this.headers = { Accept: 'application/geo+json' };
+        this.forecastDays = 7;
+
+        // Weather types -> WMO codes by intensity (light, moderate, heavy)
+        this.weatherCodes = {
+            thunderstorms: [95, 95, 95],
+            freezing_rain: [66, 66, 67],
+            freezing_drizzle: [56, 56, 57],
+            snow_showers: [85, 85, 86],
+            snow: [71, 73, 75],
+            rain_showers: [80, 81, 82],
+            rain: [61, 63, 65],
+            drizzle: [51, 53, 55],
+            fog: [45, 45, 45]
+        };
+        // Coverage too slight to call the hour wet (the sky cover decides instead)
+        this.unlikelyCoverage = ['slight_chance', 'chance', 'isolated'];
+    }
+
+    // Gridpoint for the location, then its forecast layers
+    async fetchForecast(latitude, longitude) {
+        const point = await this.fetchJson(`${this.baseUrl}/points/${latitude.toFixed(4)},${longitude.toFixed(4)}`, this.headers);
+        const grid = await this.fetchJson(point.properties.forecastGridData, this.headers);
+        return this.normalize(grid.properties, point.properties.timeZone);
+    }
+
+    // Gridpoint layers ({ uom, values: [{ validTime: "start/duration", value }] }) -> normalised series
+    normalize(grid, timeZone) {
+        const layers = {
+            temperature: this.expandLayer(grid.temperature),
+            feelsLike: this.expandLayer(grid.apparentTemperature),
+            humidity: this.expandLayer(grid.relativeHumidity),
+            precipitationProb: this.expandLayer(grid.probabilityOfPrecipitation),
+            precipitation: this.expandLayer(grid.quantitativePrecipitation, true),
+            pressure: this.expandLayer(grid.pressure),
+            windSpeed: this.expandLayer(grid.windSpeed),
+            windDirection: this.expandLayer(grid.windDirection),
+            windGust: this.expandLayer(grid.windGust),
+            cloudCover: this.expandLayer(grid.skyCover),
+            weather: this.expandLayer(grid.weather)
+        };
+
+        // Every hour the temperature covers, up to the last forecast day
+        const today = this.localTime(new Date(), timeZone).slice(0, 10);
+        const hours = [...layers.temperature.keys()].sort((a, b) => a - b)
+            .filter(time => this.localTime(new Date(time), timeZone).slice(0, 10) < this.addDays(today, this.forecastDays));
+
+        const round = (value, places) => (value === null ? null : Math.round(value * 10 ** places) / 10 ** places);
+        const valueAt = (name, time) => (layers[name].has(time) ? layers[name].get(time) : null);
+
+        const hourly = {
+            time: [], temperature: [], humidity: [], precipitationProb: [], precipitation: [],
+            weatherCode: [], pressure: [], windSpeed: [], windDirection: [], windGust: [], cloudCover: []
+        };
+        hours.forEach(time => {
+            hourly.time.push(this.localTime(new Date(time), timeZone));
+            hourly.temperature.push(round(valueAt('temperature', time), 1));
+            hourly.humidity.push(valueAt('humidity', time));
+            hourly.precipitationProb.push(valueAt('precipitationProb', time) || 0);
+            hourly.precipitation.push(round(valueAt('precipitation', time) || 0, 3));
+            hourly.weatherCode.push(this.toWeatherCode(valueAt('weather', time), valueAt('cloudCover', time)));
+            hourly.pressure.push(round(valueAt('pressure', time), 1));
+            hourly.windSpeed.push(round(valueAt('windSpeed', time), 1));
+            hourly.windDirection.push(valueAt('windDirection', time));
+            hourly.windGust.push(round(valueAt('windGust', time) === null ? valueAt('windSpeed', time) : valueAt('windGust', time), 1));
+            hourly.cloudCover.push(valueAt('cloudCover', time));
+        });
+
+        // Current conditions are the forecast for this hour. A stale or short grid with nothing
+        // from this hour on fails, so the next provider is tried instead
+        const nowHour = Math.floor(Date.now() / 3600000) * 3600000;
+        const index = hours.findIndex(time => time >= nowHour);
+        if (index === -1) {
+            throw new Error(`${this.name} forecast has no hours from now on`);
+        }
+        const feelsLike = valueAt('feelsLike', hours[index]);
+        const current = {
+            time: hourly.time[index],
+            temperature: hourly.temperature[index],
+            feelsLike: feelsLike === null ? hourly.temperature[index] : round(feelsLike, 1),
+            humidity: hourly.humidity[index],
+            precipitation: hourly.precipitation[index],
+            weatherCode: hourly.weatherCode[index],
+            pressure: hourly.pressure[index],
+            windSpeed: hourly.windSpeed[index],
+            windDirection: hourly.windDirection[index],
+            windGust: hourly.windGust[index]
+        };
+
+        // The grid starts some hours back - the daily forecast starts today
+        const daily = this.summariseDays(hourly);
+        const firstDay = daily.time.findIndex(key => key >= today);
+        Object.keys(daily).forEach(name => {
+            daily[name] = daily[name].slice(Math.max(0, firstDay));
+        });
+
+        return { source: this.id, timezone: timeZone, pastDays: 0, current, hourly, daily };
+    }
+
+    // Map of UTC hour (ms) -> value in app units. Amounts (precipitation) are spread evenly
+    // over the hours they cover; everything else holds its value across them
+    expandLayer(layer, isAmount) {
+        const hours = new Map();
+        if (!layer || !Array.isArray(layer.values)) return hours;
+
+        layer.values.forEach(item => {
+            const [start, duration] = item.validTime.split('/');
+            const count = Math.max(1, this.durationHours(duration));
+            const first = Math.floor(new Date(start).getTime() / 3600000) * 3600000;
+            const value = Array.isArray(item.value) ? item.value : this.convert(item.value, layer.uom);
+            for (let i = 0; i < count; i++) {
+                hours.set(first + i * 3600000, isAmount && value !== null ? value / count : value);
+            }
+        });
+        return hours;
+    }
+
+    // "PT3H", "P1DT6H" -> hours
+    durationHours(duration) {
+        const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:\d+M)?)?$/.exec(duration || '');
+        return match ? Number(match[1] || 0) * 24 + Number(match[2] || 0) : 1;
+    }
+
+    // NWS units -> °F, mph, inches, hPa
+    convert(value, uom) {
+        if (value === null || value === undefined) return null;
+        switch (uom) {
+            case 'wmoUnit:degC': return value * 9 / 5 + 32;
+            case 'wmoUnit:km_h-1': return value / 1.609344;
+            case 'wmoUnit:m_s-1': return value * 2.236936;
+            case 'wmoUnit:mm': return value / 25.4;
+            case 'wmoUnit:Pa': return value / 100;
+            default: return value; // %, degrees, °F
+        }
+    }
+
+    // WMO code for an hour: the most significant likely weather, else from the sky cover
+    toWeatherCode(weather, skyCover) {
+        const codes = (weather || [])
+            .filter(item => item && item.weather && !this.unlikelyCoverage.includes(item.coverage))
+            .map(item => {
+                const byIntensity = this.weatherCodes[item.weather];
+                if (!byIntensity) return null;
+                const level = item.intensity === 'heavy' ? 2 : item.intensity === 'moderate' ? 1 : 0;
+                return byIntensity[level];
+            })
+            .filter(code => code !== null);
+        if (codes.length) return Math.max(...codes);
+
+        if (skyCover === null) return 2;
+        if (skyCover < 15) return 0;
+        if (skyCover < 40) return 1;
+        if (skyCover < 75) return 2;
+        return 3;
+    }
+
+    // Zone-less local time string for an instant, e.g. "2026-10-19T14:00"
+    localTime(date, timeZone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23'
+        }).formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+    }
+
+    addDays(key, days) {
+        return new Date(Date.parse(`${key}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+    }
+}
+
+// A recorded forecast response replayed for offline development and tests: the same weather
+// wherever you look, moved forward so the recording's day is today.
+// File: { source: 'open-meteo', recordedAt, response } (a saved Open-Meteo forecast response)
+class FixtureProvider extends WeatherProvider {
+    // options: { url } of the recording; sources: providers that can normalise a recording
+    constructor(options = {}, sources = {}) {
+        super(options);
+        this.id = 'fixture';
+        this.name = 'Recorded fixture';
+        this.url = options.url || 'dev/fixtures/forecast.json';
+        this.sources = sources;
+    }
+
+    async fetchForecast() {
+        const recording = await this.fetchJson(this.url);
+        const source = this.sources[recording.source];
+        if (!source) {
+            throw new Error(`Recorded forecast from an unknown source: ${recording.source}`);
+        }
+
+        const data = source.normalize(recording.response, recording.pastDays || 0);
+        const today = new ZonedTime(data.timezone).dayKey(new Date());
+        const days = Math.round((Date.parse(today) - Date.parse(data.current.time.slice(0, 10))) / 86400000);
+        return { ...this.shiftDays(data, days), source: this.id };
+    }
+
+    // Move every time in a normalised series by whole days
+    shiftDays(data, days) {
+        const shift = time => new Date(Date.parse(`${time.slice(0, 10)}T00:00:00Z`) + days * 86400000)
+            .toISOString().slice(0, 10) + time.slice(10);
+        return {
+            ...data,
+            current: { ...data.current, time: shift(data.current.time) },
+            hourly: { ...data.hourly, time: data.hourly.time.map(shift) },
+            daily: { ...data.daily, time: data.daily.time.map(shift) }
+        };
+    }
+}
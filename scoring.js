@@ -2,13 +2,23 @@
 // Combines weather, barometric pressure, and solunar data to score hunting/fishing conditions
 
 class HuntFishScorer {
-    constructor() {
-        this.solunarCalc = new SolunarCalculator();
+    // zone: the location's ZonedTime (hours of the day, day boundaries)
+    constructor(zone) {
+        this.zone = zone || new ZonedTime();
+        this.solunarCalc = new SolunarCalculator(this.zone);
+        this.speciesProfiles = new SpeciesProfiles();
+        this.config = new ScoringConfig(this.speciesProfiles);
+        this.standPlanner = new StandPlanner();
+        this.calibrator = new ScoreCalibrator(this.speciesProfiles);
+        this.phases = new SeasonalPhases(this.zone);
     }
 
     // Main scoring function for current conditions
-    scoreCurrentConditions(weatherData, latitude, longitude) {
+    // context: optional extras for the spot being scored, e.g. { stand }
+    scoreCurrentConditions(weatherData, latitude, longitude, profile, context) {
         const now = new Date();
+        profile = this.getPhaseProfile(profile || this.speciesProfiles.getProfile(), now, latitude);
+        context = context || {};
         
         let score = 0;
         const factors = {
@@ -16,146 +26,368 @@ class HuntFishScorer {
             pressure: 0,
             weather: 0,
             wind: 0,
-            solunar: 0
+            solunar: 0,
+            front: null,
+            water: null
         };
 
-        // Temperature scoring (optimal for deer/fish in Southern Ohio)
-        factors.temperature = this.scoreTemperature(weatherData.current.temperature);
+        // Temperature scoring (optimal range depends on the species profile)
+        factors.temperature = this.scoreTemperature(weatherData.current.temperature, profile);
         
         // Barometric pressure scoring
         factors.pressure = this.scorePressure(
             weatherData.current.pressure,
-            weatherData.current.pressureTrend.trend
+            weatherData.current.pressureTrend,
+            profile
         );
         
         // Weather conditions scoring
         factors.weather = this.scoreWeatherConditions(
             weatherData.current.weatherCode,
-            weatherData.current.precipitation
+            weatherData.current.precipitation,
+            profile
         );
         
         // Wind scoring
-        factors.wind = this.scoreWind(weatherData.current.windSpeed);
+        factors.wind = this.scoreWind(
+            weatherData.current.windSpeed,
+            profile,
+            weatherData.current.windDirection,
+            weatherData.current.windGust,
+            context.stand
+        );
         
         // Solunar scoring
         factors.solunar = this.solunarCalc.getSolunarRating(now, latitude, longitude);
 
+        // Frontal phase scoring (only when a front is near)
+        factors.front = this.scoreFront(weatherData.current.front);
+
+        // Water conditions (fishing species, when a gauge reading is loaded)
+        factors.water = this.scoreWater(context.water, profile, now);
+
         // Calculate weighted total (out of 100)
-        score = (
-            factors.temperature * 0.20 +  // 20% weight
-            factors.pressure * 0.25 +       // 25% weight - very important
-            factors.weather * 0.20 +        // 20% weight
-            factors.wind * 0.15 +           // 15% weight
-            factors.solunar * 0.20          // 20% weight
-        );
+        score = this.calculateWeightedScore(factors, profile.weights);
 
         return {
             totalScore: Math.round(score),
             factors: factors,
+            weights: this.getEffectiveWeights(factors, profile.weights),
+            profile: profile,
+            defaultScore: profile.baseProfile
+                ? this.scoreCurrentConditions(weatherData, latitude, longitude, profile.baseProfile, context).totalScore
+                : null,
             recommendation: this.getRecommendation(score),
-            details: this.getDetailedAnalysis(factors, weatherData)
+            details: this.getDetailedAnalysis(factors, weatherData, context, profile)
         };
     }
 
     // Score hourly conditions
-    scoreHourlyConditions(hourData, date, latitude, longitude) {
-        let score = 0;
-        
-        // Temperature scoring
-        const tempScore = this.scoreTemperature(hourData.temperature);
-        
-        // Pressure scoring (we don't have trend for future, so just score the value)
-        const pressureScore = this.scorePressureValue(hourData.pressure);
-        
-        // Weather conditions scoring
-        const weatherScore = this.scoreWeatherConditions(
-            hourData.weatherCode,
-            hourData.precipitation
-        );
-        
-        // Wind scoring
-        const windScore = this.scoreWind(hourData.windSpeed);
-        
-        // Solunar scoring for that specific time
-        const solunarScore = this.solunarCalc.getSolunarRating(date, latitude, longitude);
-
-        // Calculate weighted total
-        score = (
-            tempScore * 0.20 +
-            pressureScore * 0.25 +
-            weatherScore * 0.20 +
-            windScore * 0.15 +
-            solunarScore * 0.20
-        );
+    scoreHourlyConditions(hourData, date, latitude, longitude, profile, context) {
+        profile = this.getPhaseProfile(profile || this.speciesProfiles.getProfile(), date, latitude);
+        context = context || {};
+
+        const rawFactors = this.scoreHourFactors(hourData, date, latitude, longitude, profile, context);
+        const score = this.calculateWeightedScore(rawFactors, profile.weights);
+        const factors = this.roundFactors(rawFactors);
 
         return {
             totalScore: Math.round(score),
-            factors: {
-                temperature: Math.round(tempScore),
-                pressure: Math.round(pressureScore),
-                weather: Math.round(weatherScore),
-                wind: Math.round(windScore),
-                solunar: Math.round(solunarScore)
-            },
+            factors: factors,
+            weights: this.getEffectiveWeights(factors, profile.weights),
+            profile: profile,
+            defaultScore: profile.baseProfile
+                ? this.scoreHourlyConditions(hourData, date, latitude, longitude, profile.baseProfile, context).totalScore
+                : null,
             data: hourData
         };
     }
 
-    // Score daily conditions (average for the day)
-    scoreDailyConditions(dayData, date, latitude, longitude) {
-        // Use average temperature
-        const avgTemp = (dayData.tempMax + dayData.tempMin) / 2;
-        const tempScore = this.scoreTemperature(avgTemp);
-        
-        // Weather conditions
-        const weatherScore = this.scoreWeatherConditions(
-            dayData.weatherCode,
-            dayData.precipitationSum
-        );
-        
-        // Wind scoring
-        const windScore = this.scoreWind(dayData.windSpeedMax);
-        
-        // Solunar scoring for the day
-        const solunarScore = this.solunarCalc.getDailySolunarQuality(date, latitude, longitude);
-
-        // Calculate weighted total (pressure gets less weight since we don't have trend)
-        const score = (
-            tempScore * 0.25 +
-            weatherScore * 0.25 +
-            windScore * 0.20 +
-            solunarScore * 0.30
-        );
+    // Score daily conditions - each factor is the mean of its hourly scores over the day's
+    // daylight hours, so a day never disagrees with the hours it is made of
+    scoreDailyConditions(dayData, date, latitude, longitude, profile, context) {
+        profile = this.getPhaseProfile(profile || this.speciesProfiles.getProfile(), date, latitude);
+        context = context || {};
+
+        const hourlyFactors = this.getDailyHours(dayData).map(hour => {
+            return this.scoreHourFactors(hour, hour.time, latitude, longitude, profile, context);
+        });
+
+        const rawFactors = {};
+        Object.keys(profile.weights).forEach(factor => {
+            // Front only counts over the hours that sit in a frontal phase
+            const scores = hourlyFactors.map(hour => hour[factor]).filter(score => score !== null);
+            rawFactors[factor] = scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+        });
+
+        const score = this.calculateWeightedScore(rawFactors, profile.weights);
+        const factors = this.roundFactors(rawFactors);
 
         return {
             totalScore: Math.round(score),
-            factors: {
-                temperature: Math.round(tempScore),
-                weather: Math.round(weatherScore),
-                wind: Math.round(windScore),
-                solunar: Math.round(solunarScore)
-            },
+            factors: factors,
+            weights: this.getEffectiveWeights(factors, profile.weights),
+            profile: profile,
+            defaultScore: profile.baseProfile
+                ? this.scoreDailyConditions(dayData, date, latitude, longitude, profile.baseProfile, context).totalScore
+                : null,
             data: dayData
         };
     }
 
-    // Temperature scoring (optimal ranges for Southern Ohio wildlife)
-    scoreTemperature(temp) {
-        // Optimal ranges: 
-        // Deer: 40-60°F (best), 30-70°F (good)
-        // Fish: 50-70°F (best), 40-80°F (good)
-        // We'll optimize for the overlap
-        
-        if (temp >= 45 && temp <= 65) return 100; // Perfect
-        if (temp >= 35 && temp <= 75) return 85;  // Very good
-        if (temp >= 25 && temp <= 85) return 65;  // Good
-        if (temp >= 15 && temp <= 95) return 40;  // Fair
-        return 20; // Poor (too cold or hot)
+    // Profile adjusted for the seasonal phase at a date: weights scaled and temperature bands
+    // slid by the phase's settings. Carries `phase` (null outside any phase) so an adjusted
+    // profile is never adjusted twice
+    getPhaseProfile(profile, date, latitude) {
+        if (profile.phase !== undefined) return profile;
+
+        const phase = this.phases.getPhase(profile, date, latitude);
+        const adjustment = phase ? this.config.values.phases[phase.id] : null;
+        if (!adjustment) {
+            return { ...profile, phase: phase };
+        }
+
+        const weights = {};
+        Object.keys(profile.weights).forEach(factor => {
+            const multiplier = adjustment.weights[factor];
+            weights[factor] = profile.weights[factor] * (multiplier === undefined ? 1 : multiplier);
+        });
+
+        return {
+            ...profile,
+            weights: weights,
+            temperature: {
+                ...profile.temperature,
+                bands: this.calibrator.shiftBands(profile.temperature.bands, adjustment.temperatureShift)
+            },
+            phase: phase
+        };
+    }
+
+    // Unrounded factor scores for one hour
+    scoreHourFactors(hourData, date, latitude, longitude, profile, context) {
+        return {
+            temperature: this.scoreTemperature(hourData.temperature, profile),
+            // Pressure with the trend at that hour
+            pressure: this.scorePressure(hourData.pressure, hourData.pressureTrend, profile),
+            weather: this.scoreWeatherConditions(hourData.weatherCode, hourData.precipitation, profile),
+            wind: this.scoreWind(
+                hourData.windSpeed,
+                profile,
+                hourData.windDirection,
+                hourData.windGust,
+                context.stand
+            ),
+            // Solunar for that specific time
+            solunar: this.solunarCalc.getSolunarRating(date, latitude, longitude),
+            // Frontal phase at that hour
+            front: this.scoreFront(hourData.front),
+            water: this.scoreWater(context.water, profile, date)
+        };
+    }
+
+    // Hours that make up a day's score: daylight, or the whole day if none fall in daylight
+    getDailyHours(dayData) {
+        const settings = this.config.values.daily;
+        const hours = dayData.hours || [];
+        const daylight = hours.filter(hour => {
+            const hourOfDay = this.zone.getHours(hour.time);
+            return hourOfDay >= settings.startHour && hourOfDay <= settings.endHour;
+        });
+        return daylight.length ? daylight : hours;
+    }
+
+    roundFactors(factors) {
+        const rounded = {};
+        Object.keys(factors).forEach(factor => {
+            rounded[factor] = factors[factor] === null ? null : Math.round(factors[factor]);
+        });
+        return rounded;
+    }
+
+    // Weighted average of factor scores - factors scored as null don't apply and are skipped
+    calculateWeightedScore(factors, weights) {
+        const effective = this.getEffectiveWeights(factors, weights);
+        return Object.keys(effective).reduce((total, factor) => {
+            return total + factors[factor] * effective[factor];
+        }, 0);
+    }
+
+    // Rescale weights over the factors that apply so they add up to 1
+    getEffectiveWeights(factors, weights) {
+        const applicable = Object.keys(weights).filter(factor => {
+            return factors[factor] !== null && factors[factor] !== undefined;
+        });
+        const total = applicable.reduce((sum, factor) => sum + weights[factor], 0);
+
+        const effective = {};
+        applicable.forEach(factor => {
+            effective[factor] = total > 0 ? weights[factor] / total : 0;
+        });
+        return effective;
+    }
+
+    // Frontal phase scoring
+    scoreFront(frontal) {
+        // No front nearby - the factor doesn't apply
+        if (!frontal) return null;
+
+        const scores = this.config.values.front;
+        // Falling pressure ahead of the front triggers heavy feeding
+        if (frontal.phase === 'pre-frontal') return scores.preFrontal;
+        // Wind, rain and the shift itself shut activity down
+        if (frontal.phase === 'frontal') return scores.frontal;
+        // Bluebird slump right behind the front, recovering as pressure settles
+        if (this.config.values.curves.front === 'steps') {
+            return frontal.hoursFromPassage <= scores.postFrontalEarlyHours ? scores.postFrontalEarly : scores.postFrontalLate;
+        }
+        // Gradual recovery: the early score at passage, the later score by twice the early phase
+        const progress = Math.min(1, Math.max(0, frontal.hoursFromPassage / (scores.postFrontalEarlyHours * 2)));
+        return scores.postFrontalEarly + (scores.postFrontalLate - scores.postFrontalEarly) * progress;
+    }
+
+    // Water scoring for fish: water temperature against the species' bands, and the flow
+    // trend less a penalty for muddy-water risk. Null when there's no gauge reading, for
+    // species without water preferences, and for hours too far from the reading
+    scoreWater(water, profile, time) {
+        if (!water || !profile.water) return null;
+        const settings = this.config.values.water;
+        if (time && Math.abs(time - water.readingTime) > settings.forecastHours * 3600000) return null;
+
+        const preference = profile.water;
+        const scores = [];
+        if (water.waterTemperature) {
+            scores.push(this.scoreFromCurve(water.waterTemperature.value, preference.temperature, this.config.values.curves.temperature));
+        }
+        if (water.flow) {
+            const penalty = water.turbidity ? preference.turbidityPenalty[water.turbidity.risk] : 0;
+            scores.push(Math.max(0, preference.flow[water.flow.trend] - penalty));
+        }
+        if (scores.length === 0) return null;
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+
+    // Look up a value in a profile's score bands (first matching band wins)
+    scoreFromBands(value, table) {
+        const band = table.bands.find(b => value >= b.min && value <= b.max);
+        return band ? band.score : table.fallback;
+    }
+
+    // Score a value against a band table with the given curve ('steps', 'linear' or 'gaussian')
+    scoreFromCurve(value, table, curve) {
+        if (curve === 'linear') return this.interpolate(value, this.getControlPoints(table));
+        if (curve === 'gaussian') return this.scoreGaussian(value, table);
+        return this.scoreFromBands(value, table);
+    }
+
+    // The staircase a band table describes, left to right: [{ min, max, score }] with
+    // neighbouring ranges of the same score merged (gaps between bands score the fallback)
+    getBandRegions(table) {
+        const edges = [...new Set(table.bands.flatMap(band => [band.min, band.max]))].sort((a, b) => a - b);
+        const regions = [];
+        for (let i = 0; i < edges.length - 1; i++) {
+            const score = this.scoreFromBands((edges[i] + edges[i + 1]) / 2, table);
+            const last = regions[regions.length - 1];
+            if (last && last.score === score) {
+                last.max = edges[i + 1];
+            } else {
+                regions.push({ min: edges[i], max: edges[i + 1], score });
+            }
+        }
+        return regions;
+    }
+
+    // [value, score] points for piecewise-linear scoring: the best range stays flat, other
+    // ranges peak at their middle (outermost ones at their outer edge), and the score fades
+    // to the fallback over one more band width beyond the table
+    getControlPoints(table) {
+        const regions = this.getBandRegions(table);
+        if (regions.length === 0) {
+            return table.bands.length ? [[table.bands[0].min, table.bands[0].score]] : [[0, table.fallback]];
+        }
+
+        const best = Math.max(...regions.map(region => region.score));
+        const points = [];
+        regions.forEach((region, i) => {
+            if (region.score === best) {
+                points.push([region.min, best], [region.max, best]);
+            } else if (i === 0) {
+                points.push([region.min, region.score]);
+            } else if (i === regions.length - 1) {
+                points.push([region.max, region.score]);
+            } else {
+                points.push([(region.min + region.max) / 2, region.score]);
+            }
+        });
+
+        const first = regions[0];
+        const last = regions[regions.length - 1];
+        points.unshift([first.min - (first.max - first.min), table.fallback]);
+        points.push([last.max + (last.max - last.min), table.fallback]);
+        return points;
+    }
+
+    // Piecewise-linear interpolation between [x, y] points sorted by x (flat beyond the ends)
+    interpolate(value, points) {
+        if (value <= points[0][0]) return points[0][1];
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (value <= x1) {
+                const [x0, y0] = points[i - 1];
+                return x1 === x0 ? y1 : y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+            }
+        }
+        return points[points.length - 1][1];
+    }
+
+    // Bell curve around the best range: full score inside it, falling toward the fallback
+    // on each side at a rate that passes through the outermost band's score at its edge
+    scoreGaussian(value, table) {
+        const regions = this.getBandRegions(table);
+        if (regions.length === 0) return this.scoreFromBands(value, table);
+
+        const best = Math.max(...regions.map(region => region.score));
+        const top = regions.filter(region => region.score === best);
+        const low = top[0].min;
+        const high = top[top.length - 1].max;
+        if (value >= low && value <= high) return best;
+
+        const below = value < low;
+        const outer = below ? regions[0] : regions[regions.length - 1];
+        const plateauEdge = below ? low : high;
+        const floor = table.fallback;
+        if (best <= floor) return best;
+
+        // When the best range is also the outermost, fade to halfway by one range width
+        let reach = Math.abs((below ? outer.min : outer.max) - plateauEdge);
+        let edgeScore = outer.score;
+        if (reach === 0 || edgeScore >= best) {
+            reach = Math.max(high - low, 1);
+            edgeScore = (best + floor) / 2;
+        }
+        edgeScore = Math.max(edgeScore, floor + 1);
+
+        const sigma = reach / Math.sqrt(2 * Math.log((best - floor) / (edgeScore - floor)));
+        const distance = value - plateauEdge;
+        return floor + (best - floor) * Math.exp(-(distance * distance) / (2 * sigma * sigma));
     }
 
-    // Pressure scoring with trend
-    scorePressure(pressure, trend) {
-        let score = this.scorePressureValue(pressure);
+    // Temperature scoring (optimal ranges come from the species profile)
+    scoreTemperature(temp, profile) {
+        profile = profile || this.speciesProfiles.getProfile();
+        return this.scoreFromCurve(temp, profile.temperature, this.config.values.curves.temperature);
+    }
+
+    // Pressure scoring with trend (pressureTrend comes from WeatherAPI.calculatePressureTrend)
+    scorePressure(pressure, pressureTrend, profile) {
+        // Not every weather source forecasts pressure - leave the factor out
+        if (pressure === null || pressure === undefined) return null;
+        profile = profile || this.speciesProfiles.getProfile();
+        const preference = profile.pressure;
+        const adjustments = this.config.values.pressure;
+        const trend = pressureTrend.trend;
+        const tendencies = pressureTrend.tendencies || {};
+        let score = this.scorePressureValue(pressure, profile);
         
         // Trend is crucial for hunting/fishing
         // Rising pressure (high pressure moving in) = excellent
@@ -164,83 +396,109 @@ class HuntFishScorer {
         // Steady low pressure = poor
         
         if (trend === 'rising') {
-            score = Math.min(100, score + 20); // Big bonus for rising
+            score += preference.risingBonus; // Big bonus for rising
         } else if (trend === 'falling') {
             // Falling can be good (feeding before storm) but depends on current pressure
-            if (pressure > 1015) {
-                score = Math.min(100, score + 10); // Falling from high is good
+            if (pressure > preference.fallingBonusAbove) {
+                score += preference.fallingBonus; // Falling from high is good
             }
+        } else if (tendencies[12] && tendencies[12].direction === 'rising' && tendencies[12].speed !== 'slowly') {
+            // Slow 3h change but a sustained climb over 12h (clearing behind a front)
+            score += preference.risingBonus * adjustments.sustainedRiseFactor;
+        }
+
+        // A quick or very rapid fall means a storm is arriving - activity shuts down
+        if (tendencies[3] && tendencies[3].direction === 'falling' &&
+            (tendencies[3].speed === 'quickly' || tendencies[3].speed === 'very rapidly')) {
+            score -= adjustments.fastFallPenalty;
         }
         
-        return score;
+        return Math.min(100, Math.max(0, score));
     }
 
     // Score just the pressure value (no trend)
-    scorePressureValue(pressure) {
-        // Optimal pressure: 1020-1030 hPa
-        // Good: 1010-1020 or 1030-1040
-        // Fair: 1000-1010 or 1040+
-        // Poor: below 1000
-        
-        if (pressure >= 1020 && pressure <= 1030) return 100;
-        if (pressure >= 1015 && pressure <= 1035) return 85;
-        if (pressure >= 1010 && pressure <= 1040) return 70;
-        if (pressure >= 1005 && pressure <= 1045) return 50;
-        if (pressure >= 1000 && pressure <= 1050) return 35;
-        return 20;
+    scorePressureValue(pressure, profile) {
+        // Blended profile: optimal 1020-1030 hPa, good 1010-1040, poor below 1000
+        profile = profile || this.speciesProfiles.getProfile();
+        return this.scoreFromCurve(pressure, profile.pressure, this.config.values.curves.pressure);
     }
 
     // Weather conditions scoring
-    scoreWeatherConditions(weatherCode, precipitation) {
+    scoreWeatherConditions(weatherCode, precipitation, profile) {
         // Clear to partly cloudy = best
         // Overcast = good (deer often move on overcast days)
         // Light rain/drizzle = can be okay
         // Heavy rain, storms, snow = poor
+        profile = profile || this.speciesProfiles.getProfile();
+        const settings = this.config.values.weather;
+
+        // Thunderstorms - never excused, it's a safety call
+        if (weatherCode >= settings.thunderstormFromCode) return settings.thunderstormScore;
+
+        let score = this.scoreFromBands(weatherCode, { bands: settings.codes, fallback: settings.fallback });
+
+        // Rain/snow tolerant species recover part of the precipitation penalty
+        if (weatherCode >= settings.precipitationFromCode) {
+            score += (100 - score) * profile.precipitationTolerance;
+        }
         
-        if (weatherCode === 0 || weatherCode === 1) return 95; // Clear
-        if (weatherCode === 2) return 100; // Partly cloudy (best for hunting)
-        if (weatherCode === 3) return 85; // Overcast (good for deer)
-        if (weatherCode >= 45 && weatherCode <= 48) return 60; // Fog
-        if (weatherCode >= 51 && weatherCode <= 55) return 70; // Drizzle
-        if (weatherCode === 61) return 60; // Light rain
-        if (weatherCode === 63 || weatherCode === 65) return 30; // Moderate/heavy rain
-        if (weatherCode >= 71 && weatherCode <= 77) return 25; // Snow
-        if (weatherCode >= 80 && weatherCode <= 86) return 35; // Showers
-        if (weatherCode >= 95) return 10; // Thunderstorms
-        
-        return 50; // Default
+        return score;
     }
 
     // Wind scoring
-    scoreWind(windSpeed) {
-        // Light wind (5-15 mph) = best for hunting (masks sound/scent)
-        // Calm or very light (0-5 mph) = good
-        // Moderate (15-25 mph) = fair (difficult for hunting)
-        // Strong (25+ mph) = poor
-        
-        if (windSpeed >= 5 && windSpeed <= 12) return 100; // Perfect
-        if (windSpeed >= 0 && windSpeed <= 5) return 85; // Very good (but too calm can be bad)
-        if (windSpeed >= 12 && windSpeed <= 18) return 70; // Good
-        if (windSpeed >= 18 && windSpeed <= 25) return 45; // Fair
-        if (windSpeed >= 25 && windSpeed <= 35) return 25; // Poor
-        return 10; // Very poor (dangerous)
+    scoreWind(windSpeed, profile, windDirection, windGust, stand) {
+        // Hours a weather source leaves without wind - leave the factor out
+        if (windSpeed === null || windSpeed === undefined) return null;
+        // Blended profile: 5-12 mph is perfect (masks sound/scent), calm is very good,
+        // 18+ mph makes hunting difficult and 35+ mph is dangerous
+        profile = profile || this.speciesProfiles.getProfile();
+        const settings = this.config.values.wind;
+        const curve = this.config.values.curves.wind;
+        let score = this.scoreFromCurve(windSpeed, profile.wind, curve);
+
+        // Gusty, swirling wind spreads scent unpredictably and spooks game
+        if (windGust !== undefined && windGust !== null) {
+            score -= this.getGustPenalty(windGust - windSpeed, curve);
+        }
+
+        // Wrong wind for the chosen stand (e.g. blowing from the stand to the bedding area)
+        if (stand && !this.standPlanner.isWindGood(stand, windDirection)) {
+            score *= settings.wrongWindFactor[stand.kind];
+        }
+
+        return Math.max(0, score);
+    }
+
+    // Penalty for gusts this far above the sustained speed. Stepped, or ramped up from
+    // nothing at half the smallest spread through each configured step
+    getGustPenalty(gustSpread, curve) {
+        const steps = this.config.values.wind.gustPenalties;
+        if (curve === 'steps') {
+            const step = steps.find(item => gustSpread >= item.spread);
+            return step ? step.penalty : 0;
+        }
+
+        const points = steps.map(step => [step.spread, step.penalty]).sort((a, b) => a[0] - b[0]);
+        if (points.length === 0) return 0;
+        return this.interpolate(gustSpread, [[points[0][0] / 2, 0], ...points]);
     }
 
     // Get recommendation based on score
     getRecommendation(score) {
-        if (score >= 85) {
+        const ratings = this.config.values.ratings;
+        if (score >= ratings.excellent) {
             return {
                 title: 'Excellent Conditions! 🎯',
                 description: 'Prime time for hunting and fishing! Multiple factors are aligned in your favor. This is an ideal time to be in the field or on the water.',
                 rating: 'excellent'
             };
-        } else if (score >= 70) {
+        } else if (score >= ratings.good) {
             return {
                 title: 'Good Conditions 👍',
                 description: 'Favorable conditions for outdoor activities. You should see decent animal activity. Good chance of success.',
                 rating: 'good'
             };
-        } else if (score >= 50) {
+        } else if (score >= ratings.fair) {
             return {
                 title: 'Fair Conditions ⚠️',
                 description: 'Conditions are mediocre. Activity may be reduced, but it\'s still worth going out if you have the time. Patience will be key.',
@@ -256,24 +514,35 @@ class HuntFishScorer {
     }
 
     // Get detailed analysis of factors
-    getDetailedAnalysis(factors, weatherData) {
+    getDetailedAnalysis(factors, weatherData, context, profile) {
         const analysis = [];
+        context = context || {};
+        const phase = profile && profile.phase;
+
+        // Seasonal phase (rut or spawn)
+        if (phase) {
+            analysis.push(`${phase.emoji} ${phase.name}: ${phase.summary}`);
+        }
         
-        // Temperature analysis
+        // Temperature analysis (in the phase's own words where it has them)
+        const phaseTemperature = (phase && phase.temperature) || {};
         if (factors.temperature >= 85) {
-            analysis.push('🌡️ Temperature is in the optimal range for wildlife activity.');
+            analysis.push(`🌡️ ${phaseTemperature.good || 'Temperature is in the optimal range for wildlife activity.'}`);
         } else if (factors.temperature >= 65) {
-            analysis.push('🌡️ Temperature is good, though not ideal.');
+            analysis.push(`🌡️ ${phaseTemperature.fair || 'Temperature is good, though not ideal.'}`);
         } else {
-            analysis.push('🌡️ Temperature may reduce animal activity.');
+            analysis.push(`🌡️ ${phaseTemperature.poor || 'Temperature may reduce animal activity.'}`);
         }
         
         // Pressure analysis
         const trend = weatherData.current.pressureTrend.trend;
-        if (factors.pressure >= 85) {
-            analysis.push(`📊 Excellent barometric pressure (${trend}). Animals should be active.`);
+        const category = weatherData.current.pressureTrend.category.toLowerCase();
+        if (factors.pressure === null) {
+            analysis.push('📊 This weather source has no pressure forecast - pressure is left out of the score.');
+        } else if (factors.pressure >= 85) {
+            analysis.push(`📊 Excellent barometric pressure (${category}). Animals should be active.`);
         } else if (factors.pressure >= 70) {
-            analysis.push(`📊 Good pressure conditions (${trend}).`);
+            analysis.push(`📊 Good pressure conditions (${category}).`);
         } else if (trend === 'falling') {
             analysis.push(`📊 Falling pressure - animals may feed before weather change.`);
         } else {
@@ -290,14 +559,42 @@ class HuntFishScorer {
         }
         
         // Wind analysis
-        if (factors.wind >= 85) {
+        if (factors.wind === null) {
+            analysis.push('💨 This weather source has no wind reading - wind is left out of the score.');
+        } else if (factors.wind >= 85) {
             analysis.push('💨 Wind conditions are excellent for concealment.');
         } else if (factors.wind >= 60) {
             analysis.push('💨 Wind is manageable.');
         } else {
             analysis.push('💨 High winds may make conditions difficult.');
         }
+        const stand = context.stand;
+        if (stand && !this.standPlanner.isWindGood(stand, weatherData.current.windDirection)) {
+            const windFrom = this.standPlanner.toCompass(weatherData.current.windDirection);
+            analysis.push(`🪵 Wrong wind for ${this.escapeHTML(stand.name)}: ${windFrom} wind, needs ${this.standPlanner.formatArc(stand)}.`);
+        } else if (stand) {
+            analysis.push(`🪵 Good wind for ${this.escapeHTML(stand.name)}.`);
+        }
         
+        // Front analysis
+        const frontal = weatherData.current.front;
+        if (frontal && frontal.phase === 'pre-frontal') {
+            analysis.push('🌬️ Pre-frontal feeding window - get out before the front arrives.');
+        } else if (frontal && frontal.phase === 'frontal') {
+            analysis.push('🌬️ Front passing through now - expect activity to shut down.');
+        } else if (frontal) {
+            analysis.push('🌬️ Post-frontal conditions - activity usually slumps until pressure settles.');
+        }
+        
+        // Water analysis
+        const water = context.water;
+        if (water && factors.water !== null && factors.water !== undefined) {
+            const trend = water.flow ? `${water.flow.trend} flow` : 'no flow reading';
+            const muddy = water.turbidity && water.turbidity.risk !== 'low' ? `, ${water.turbidity.risk} muddy-water risk` : '';
+            const temperature = water.waterTemperature ? `, ${water.waterTemperature.value}°F water` : '';
+            analysis.push(`💧 ${this.escapeHTML(water.site.name)}: ${trend}${temperature}${muddy}.`);
+        }
+
         // Solunar analysis
         if (factors.solunar >= 80) {
             analysis.push('🌙 Peak solunar period! Moon position favors feeding activity.');
@@ -312,110 +609,193 @@ class HuntFishScorer {
 
     // Get score class for styling
     getScoreClass(score) {
-        if (score >= 85) return 'excellent';
-        if (score >= 70) return 'good';
-        if (score >= 50) return 'fair';
+        const ratings = this.config.values.ratings;
+        if (score >= ratings.excellent) return 'excellent';
+        if (score >= ratings.good) return 'good';
+        if (score >= ratings.fair) return 'fair';
         return 'poor';
     }
 
+    // Analysis lines and tooltips are HTML - names typed, imported or fetched go in escaped
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Format a factor weight as a percentage label
+    formatWeight(weight) {
+        return weight === undefined ? '—' : `${Math.round(weight * 100)}%`;
+    }
+
+    // "72/100", or "No data" for a factor the weather source doesn't forecast
+    formatFactorScore(score) {
+        return score === null || score === undefined ? 'No data' : `${Math.round(score)}/100`;
+    }
+
+    // Tooltip row for the front factor (empty when no front is near)
+    generateFrontTooltipRow(factors, weights) {
+        if (factors.front === null || factors.front === undefined) return '';
+        return `
+                <div class="tooltip-factor">
+                    <span class="tooltip-factor-name">🌬️ Front (${this.formatWeight(weights.front)}):</span>
+                    <span class="tooltip-factor-score">${Math.round(factors.front)}/100</span>
+                </div>`;
+    }
+
+    generateWaterTooltipRow(factors, weights) {
+        if (factors.water === null || factors.water === undefined || weights.water === undefined) return '';
+        return `
+                <div class="tooltip-factor">
+                    <span class="tooltip-factor-name">💧 Water (${this.formatWeight(weights.water)}):</span>
+                    <span class="tooltip-factor-score">${Math.round(factors.water)}/100</span>
+                </div>`;
+    }
+
+    // Tooltip line comparing a calibrated score with the default profile's (empty when not calibrated)
+    generateModelTooltipRow(scoreResult) {
+        if (scoreResult.defaultScore === null || scoreResult.defaultScore === undefined) return '';
+        const calibration = scoreResult.profile.calibration;
+        return `
+            <div class="tooltip-divider"></div>
+            <div class="tooltip-factor">
+                <span class="tooltip-factor-name">🎯 Your model / default:</span>
+                <span class="tooltip-factor-score">${scoreResult.totalScore} / ${scoreResult.defaultScore}</span>
+            </div>
+            <div style="font-size: 0.8em; color: #ccc;">Fitted on ${calibration.sampleSize} journal entries (${this.escapeHTML(calibration.locationName)})</div>`;
+    }
+
     // Generate tooltip HTML for current conditions
     generateCurrentTooltip(scoreResult) {
-        const { totalScore, factors } = scoreResult;
+        const { totalScore, factors, weights, profile } = scoreResult;
         
         return `
             <div class="tooltip-title">Score Breakdown (${totalScore}/100)</div>
+            <div style="font-size: 0.85em; color: #ccc;">${profile.emoji} ${profile.name}${profile.phase ? ` · ${this.phases.describe(profile.phase)}` : ''}</div>
             <div class="tooltip-section">
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">🌡️ Temperature (20%):</span>
-                    <span class="tooltip-factor-score">${factors.temperature}/100</span>
+                    <span class="tooltip-factor-name">🌡️ Temperature (${this.formatWeight(weights.temperature)}):</span>
+                    <span class="tooltip-factor-score">${Math.round(factors.temperature)}/100</span>
                 </div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">📊 Pressure (25%):</span>
-                    <span class="tooltip-factor-score">${Math.round(factors.pressure)}/100</span>
+                    <span class="tooltip-factor-name">📊 Pressure (${this.formatWeight(weights.pressure)}):</span>
+                    <span class="tooltip-factor-score">${this.formatFactorScore(factors.pressure)}</span>
                 </div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">☁️ Weather (20%):</span>
+                    <span class="tooltip-factor-name">☁️ Weather (${this.formatWeight(weights.weather)}):</span>
                     <span class="tooltip-factor-score">${Math.round(factors.weather)}/100</span>
                 </div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">💨 Wind (15%):</span>
-                    <span class="tooltip-factor-score">${Math.round(factors.wind)}/100</span>
+                    <span class="tooltip-factor-name">💨 Wind (${this.formatWeight(weights.wind)}):</span>
+                    <span class="tooltip-factor-score">${this.formatFactorScore(factors.wind)}</span>
                 </div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">🌙 Solunar (20%):</span>
+                    <span class="tooltip-factor-name">🌙 Solunar (${this.formatWeight(weights.solunar)}):</span>
                     <span class="tooltip-factor-score">${Math.round(factors.solunar)}/100</span>
                 </div>
+                ${this.generateFrontTooltipRow(factors, weights)}
+                ${this.generateWaterTooltipRow(factors, weights)}
             </div>
+            ${this.generateModelTooltipRow(scoreResult)}
         `;
     }
 
     // Generate tooltip HTML for daily forecast
     generateDailyTooltip(scoreResult) {
-        const { totalScore, factors, data } = scoreResult;
+        const { totalScore, factors, weights, data } = scoreResult;
         const avgTemp = Math.round((data.tempMax + data.tempMin) / 2);
         
         return `
             <div class="tooltip-title">Daily Score: ${totalScore}/100</div>
+            ${scoreResult.profile.phase ? `<div style="font-size: 0.85em; color: #ccc;">${this.phases.describe(scoreResult.profile.phase)}</div>` : ''}
             <div class="tooltip-section">
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">🌡️ Temperature (25%):</span>
+                    <span class="tooltip-factor-name">🌡️ Temperature (${this.formatWeight(weights.temperature)}):</span>
                     <span class="tooltip-factor-score">${factors.temperature}/100</span>
                 </div>
                 <div style="font-size: 0.85em; color: #ccc; margin-left: 10px;">Avg: ${avgTemp}°F (${data.tempMin}°-${data.tempMax}°)</div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">☁️ Weather (25%):</span>
+                    <span class="tooltip-factor-name">📊 Pressure (${this.formatWeight(weights.pressure)}):</span>
+                    <span class="tooltip-factor-score">${this.formatFactorScore(factors.pressure)}</span>
+                </div>
+                <div style="font-size: 0.85em; color: #ccc; margin-left: 10px;">${this.formatPressureSwing(data.pressureSwing)}</div>
+                <div class="tooltip-factor">
+                    <span class="tooltip-factor-name">☁️ Weather (${this.formatWeight(weights.weather)}):</span>
                     <span class="tooltip-factor-score">${factors.weather}/100</span>
                 </div>
                 <div style="font-size: 0.85em; color: #ccc; margin-left: 10px;">${data.weatherDescription}</div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">💨 Wind (20%):</span>
-                    <span class="tooltip-factor-score">${factors.wind}/100</span>
+                    <span class="tooltip-factor-name">💨 Wind (${this.formatWeight(weights.wind)}):</span>
+                    <span class="tooltip-factor-score">${this.formatFactorScore(factors.wind)}</span>
                 </div>
-                <div style="font-size: 0.85em; color: #ccc; margin-left: 10px;">Max: ${data.windSpeedMax} mph</div>
+                <div style="font-size: 0.85em; color: #ccc; margin-left: 10px;">Up to ${data.windSpeedMax} mph</div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">🌙 Solunar (30%):</span>
+                    <span class="tooltip-factor-name">🌙 Solunar (${this.formatWeight(weights.solunar)}):</span>
                     <span class="tooltip-factor-score">${factors.solunar}/100</span>
                 </div>
+                ${this.generateFrontTooltipRow(factors, weights)}
+                ${this.generateWaterTooltipRow(factors, weights)}
             </div>
+            ${this.generateModelTooltipRow(scoreResult)}
             <div class="tooltip-divider"></div>
             <div style="font-size: 0.85em; color: #ccc; font-style: italic;">
-                Weighted average of all factors for the day
+                Each factor averaged over ${this.formatDailyHours()}
             </div>
         `;
     }
 
+    // The hours a day's score covers, e.g. "6 AM-7 PM"
+    formatDailyHours() {
+        const settings = this.config.values.daily;
+        const format = hour => `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+        return `${format(settings.startHour)}-${format(settings.endHour)}`;
+    }
+
+    // Describe a day's pressure swing, e.g. "1008.2-1016.4 hPa (Rising slowly +6.1)"
+    formatPressureSwing(swing) {
+        if (!swing) return 'No pressure data';
+        const sign = swing.change > 0 ? '+' : '';
+        return `${swing.min.toFixed(1)}-${swing.max.toFixed(1)} hPa (${swing.label} ${sign}${swing.change.toFixed(1)})`;
+    }
+
     // Generate tooltip HTML for hourly forecast
     generateHourlyTooltip(scoreResult) {
-        const { totalScore, factors, data } = scoreResult;
+        const { totalScore, factors, weights, data } = scoreResult;
         
         return `
             <div class="tooltip-title">Hour Score: ${totalScore}/100</div>
             <div class="tooltip-section">
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">🌡️ Temp (20%):</span>
+                    <span class="tooltip-factor-name">🌡️ Temp (${this.formatWeight(weights.temperature)}):</span>
                     <span class="tooltip-factor-score">${factors.temperature}/100</span>
                 </div>
                 <div style="font-size: 0.8em; color: #ccc; margin-left: 10px;">${data.temperature}°F</div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">📊 Press (25%):</span>
-                    <span class="tooltip-factor-score">${factors.pressure}/100</span>
+                    <span class="tooltip-factor-name">📊 Press (${this.formatWeight(weights.pressure)}):</span>
+                    <span class="tooltip-factor-score">${this.formatFactorScore(factors.pressure)}</span>
                 </div>
-                <div style="font-size: 0.8em; color: #ccc; margin-left: 10px;">${data.pressure.toFixed(1)} hPa</div>
+                <div style="font-size: 0.8em; color: #ccc; margin-left: 10px;">${data.pressure === null ? 'No pressure data' : `${data.pressure.toFixed(1)} hPa · ${data.pressureTrend.category}`}</div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">☁️ Weather (20%):</span>
+                    <span class="tooltip-factor-name">☁️ Weather (${this.formatWeight(weights.weather)}):</span>
                     <span class="tooltip-factor-score">${factors.weather}/100</span>
                 </div>
                 <div style="font-size: 0.8em; color: #ccc; margin-left: 10px;">${data.weatherDescription}</div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">💨 Wind (15%):</span>
-                    <span class="tooltip-factor-score">${factors.wind}/100</span>
+                    <span class="tooltip-factor-name">💨 Wind (${this.formatWeight(weights.wind)}):</span>
+                    <span class="tooltip-factor-score">${this.formatFactorScore(factors.wind)}</span>
                 </div>
-                <div style="font-size: 0.8em; color: #ccc; margin-left: 10px;">${data.windSpeed} mph</div>
+                <div style="font-size: 0.8em; color: #ccc; margin-left: 10px;">${data.windSpeed === null ? 'No wind data' : `${data.windSpeed} mph ${this.standPlanner.toCompass(data.windDirection)} (gusts ${data.windGust})`}</div>
                 <div class="tooltip-factor">
-                    <span class="tooltip-factor-name">🌙 Solunar (20%):</span>
+                    <span class="tooltip-factor-name">🌙 Solunar (${this.formatWeight(weights.solunar)}):</span>
                     <span class="tooltip-factor-score">${factors.solunar}/100</span>
                 </div>
+                ${this.generateFrontTooltipRow(factors, weights)}
+                ${this.generateWaterTooltipRow(factors, weights)}
             </div>
+            ${this.generateModelTooltipRow(scoreResult)}
         `;
     }
 }
@@ -0,0 +1,91 @@
+// Season Calendar Module
+// Open hunting seasons and legal methods per day, from an editable JSON data file
+// (data/seasons.json). Windows are "YYYY-MM-DD" dates for seasons that move every year,
+// or "MM-DD" for seasons that open on the same dates each year (may wrap past New Year)
+
+class SeasonCalendar {
+    // zone: the location's ZonedTime, which decides the calendar date
+    constructor(zone, url = 'data/seasons.json') {
+        this.zone = zone || new ZonedTime();
+        this.url = url;
+        this.data = { seasons: [] };
+        this.loaded = false;
+        this.lookaheadDays = 366; // How far to search for the next opening
+    }
+
+    // Read the season file; on failure the calendar stays empty and nothing is filtered
+    async load() {
+        try {
+            const response = await fetch(this.url);
+            if (!response.ok) {
+                throw new Error(`Season calendar request failed (${response.status})`);
+            }
+            const data = await response.json();
+            if (!data || !Array.isArray(data.seasons)) {
+                throw new Error('Season calendar must have a "seasons" list');
+            }
+            this.data = data;
+            this.loaded = true;
+        } catch (error) {
+            console.error('Error loading season calendar:', error);
+            this.loaded = false;
+        }
+        return this.loaded;
+    }
+
+    getSeasons() {
+        return this.data.seasons;
+    }
+
+    // Seasons open on a date
+    getOpenSeasons(date) {
+        const key = this.dateKey(date);
+        return this.getSeasons().filter(season => {
+            return season.windows.some(window => this.inWindow(window, key));
+        });
+    }
+
+    // Whether the calendar has any season for a species profile (fish aren't listed,
+    // so they are always in season)
+    isRegulated(speciesId) {
+        return this.getSeasons().some(season => (season.species || []).includes(speciesId));
+    }
+
+    isInSeason(speciesId, date) {
+        if (!this.isRegulated(speciesId)) return true;
+        return this.getOpenSeasons(date).some(season => (season.species || []).includes(speciesId));
+    }
+
+    // First day from `date` on which a species is in season (null if none within the lookahead)
+    getNextOpening(speciesId, date) {
+        for (let i = 0; i < this.lookaheadDays; i++) {
+            const day = this.zone.addDays(date, i);
+            if (this.isInSeason(speciesId, day)) return day;
+        }
+        return null;
+    }
+
+    // Window { start, end } contains a YYYY-MM-DD key
+    inWindow(window, key) {
+        if (window.start.length === 10) {
+            return key >= window.start && key <= window.end;
+        }
+
+        // Same dates every year
+        const monthDay = key.slice(5);
+        if (window.start <= window.end) {
+            return monthDay >= window.start && monthDay <= window.end;
+        }
+        return monthDay >= window.start || monthDay <= window.end;
+    }
+
+    // "🏹 Deer archery (Longbow, Compound bow, Crossbow)"
+    describe(season) {
+        return `${season.emoji || '📅'} ${season.name} (${season.methods.join(', ')})`;
+    }
+
+    // YYYY-MM-DD at the location
+    dateKey(date) {
+        return this.zone.dayKey(date);
+    }
+}
@@ -0,0 +1,127 @@
+// Solar Calculations Module
+// Calculates sunrise, sunset, twilight and legal shooting hours
+
+class SolarCalculator {
+    // zone: the location's ZonedTime, which decides where each day starts and ends
+    constructor(zone) {
+        this.zone = zone || new ZonedTime();
+
+        // Sun altitude (degrees) at each event
+        this.altitudes = {
+            sunrise: -0.833, // Upper limb on the horizon, incl. refraction
+            civil: -6,
+            nautical: -12
+        };
+
+        // Ohio legal hunting hours: 30 minutes before sunrise to 30 minutes after sunset
+        this.legalMinutesBeforeSunrise = 30;
+        this.legalMinutesAfterSunset = 30;
+    }
+
+    // Sunrise, sunset and twilight times for the location's day containing `date`
+    getSunTimes(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const localNoon = this.zone.atTime(date, 12);
+
+        // Solar transit nearest local noon (sunrise equation, days since J2000)
+        const dayNumber = Math.round(this.daysSinceJ2000(localNoon) + longitude / 360);
+        const approxTransit = dayNumber - longitude / 360;
+        const meanAnomaly = (357.5291 + 0.98560028 * approxTransit) * rad;
+        const center = 1.9148 * Math.sin(meanAnomaly) +
+            0.0200 * Math.sin(2 * meanAnomaly) +
+            0.0003 * Math.sin(3 * meanAnomaly);
+        const eclipticLongitude = (meanAnomaly / rad + center + 180 + 102.9372) * rad;
+        const transit = approxTransit +
+            0.0053 * Math.sin(meanAnomaly) -
+            0.0069 * Math.sin(2 * eclipticLongitude);
+        const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(23.4397 * rad));
+
+        // Time either side of transit when the sun reaches a given altitude
+        // (null when it never gets that high or low on this day)
+        const crossing = (altitude) => {
+            const cosHourAngle = (Math.sin(altitude * rad) - Math.sin(latitude * rad) * Math.sin(declination)) /
+                (Math.cos(latitude * rad) * Math.cos(declination));
+            if (cosHourAngle < -1 || cosHourAngle > 1) {
+                return null;
+            }
+            const offset = Math.acos(cosHourAngle) / rad / 360;
+            return {
+                morning: this.fromDaysSinceJ2000(transit - offset),
+                evening: this.fromDaysSinceJ2000(transit + offset)
+            };
+        };
+
+        const sun = crossing(this.altitudes.sunrise);
+        const civil = crossing(this.altitudes.civil);
+        const nautical = crossing(this.altitudes.nautical);
+        const noonAltitude = 90 - Math.abs(latitude - declination / rad);
+
+        return {
+            solarNoon: this.fromDaysSinceJ2000(transit),
+            sunrise: sun ? sun.morning : null,
+            sunset: sun ? sun.evening : null,
+            civilDawn: civil ? civil.morning : null,
+            civilDusk: civil ? civil.evening : null,
+            nauticalDawn: nautical ? nautical.morning : null,
+            nauticalDusk: nautical ? nautical.evening : null,
+            polarDay: !sun && noonAltitude > 0,
+            polarNight: !sun && noonAltitude <= 0
+        };
+    }
+
+    // Legal shooting window for the day (null if the sun doesn't rise and set)
+    getLegalShootingHours(date, latitude, longitude) {
+        const times = this.getSunTimes(date, latitude, longitude);
+        if (!times.sunrise || !times.sunset) {
+            return null;
+        }
+
+        return {
+            start: new Date(times.sunrise.getTime() - this.legalMinutesBeforeSunrise * 60000),
+            end: new Date(times.sunset.getTime() + this.legalMinutesAfterSunset * 60000)
+        };
+    }
+
+    // Check if a moment falls inside legal shooting hours
+    isLegalShootingTime(time, latitude, longitude) {
+        const hours = this.getLegalShootingHours(time, latitude, longitude);
+        return !!hours && time >= hours.start && time <= hours.end;
+    }
+
+    // Whether legal light is on now, and when it next starts or ends
+    getLegalLightStatus(now, latitude, longitude) {
+        const today = this.getLegalShootingHours(now, latitude, longitude);
+
+        if (today && now < today.start) {
+            return { isLegal: false, nextChange: today.start };
+        }
+        if (today && now <= today.end) {
+            return { isLegal: true, nextChange: today.end };
+        }
+
+        // After today's window: count down to tomorrow's start
+        const tomorrow = this.zone.addDays(now, 1);
+        const next = this.getLegalShootingHours(tomorrow, latitude, longitude);
+        return { isLegal: false, nextChange: next ? next.start : null };
+    }
+
+    // Format a duration in milliseconds as "2h 05m"
+    formatCountdown(milliseconds) {
+        const totalMinutes = Math.max(0, Math.round(milliseconds / 60000));
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+    }
+
+    // Calculate days since J2000 epoch
+    daysSinceJ2000(date) {
+        const j2000 = new Date('2000-01-01T12:00:00Z');
+        return (date - j2000) / (24 * 60 * 60 * 1000);
+    }
+
+    // Convert days since J2000 back to a Date
+    fromDaysSinceJ2000(days) {
+        const j2000 = new Date('2000-01-01T12:00:00Z');
+        return new Date(j2000.getTime() + days * 24 * 60 * 60 * 1000);
+    }
+}
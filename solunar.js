@@ -2,9 +2,18 @@
 // Calculates moon phases, positions, and major/minor feeding periods
 
 class SolunarCalculator {
-    constructor() {
+    // zone: the location's ZonedTime, which decides where each day starts and ends
+    constructor(zone) {
+        this.zone = zone || new ZonedTime();
         this.lunarCycle = 29.530588853; // Average lunar cycle in days
         this.knownNewMoon = new Date('2000-01-06T18:14:00Z'); // Reference new moon
+        this.moonEventCache = new Map(); // Rise/set/transit results keyed by day and location
+        this.solarCalc = new SolarCalculator(this.zone);
+
+        // Periods overlapping dawn/dusk are weighted up ("prime" periods)
+        this.twilightWindowMinutes = 60; // Dawn/dusk window either side of sunrise/sunset
+        this.primeOverlapMinutes = 30;   // Overlap needed to call a period prime
+        this.periodBonus = { major: 30, minor: 15 };
     }
 
     // Calculate moon phase for a given date
@@ -55,64 +64,248 @@ class SolunarCalculator {
         return '🌘';
     }
 
-    // Calculate moon position (simplified) and solunar periods
+    // Calculate moon events and solunar periods for the day containing `date`
     getSolunarPeriods(date, latitude, longitude) {
-        // Calculate moon transit (when moon is overhead or underfoot)
+        // Moon rise, set and meridian transits for the location
         const moonData = this.calculateMoonPosition(date, latitude, longitude);
         
-        // Major periods: when moon is overhead (transit) or underfoot (opposite)
+        // Major periods: when moon is overhead (upper transit) or underfoot (lower transit)
         // Minor periods: when moon is rising or setting
+        // Any event that doesn't happen on this day leaves its period null
         const periods = {
-            major1: this.getMajorPeriod(moonData.transit),
-            major2: this.getMajorPeriod(moonData.opposite),
-            minor1: this.getMinorPeriod(moonData.moonrise),
-            minor2: this.getMinorPeriod(moonData.moonset)
+            major1: moonData.transit ? this.getMajorPeriod(moonData.transit) : null,
+            major2: moonData.opposite ? this.getMajorPeriod(moonData.opposite) : null,
+            minor1: moonData.moonrise ? this.getMinorPeriod(moonData.moonrise) : null,
+            minor2: moonData.moonset ? this.getMinorPeriod(moonData.moonset) : null
         };
 
+        // Flag periods that coincide with sunrise or sunset
+        const sunTimes = this.solarCalc.getSunTimes(date, latitude, longitude);
+        Object.values(periods).forEach(period => {
+            if (period) this.applySunOverlap(period, sunTimes);
+        });
+
         return {
             periods,
+            sunrise: sunTimes.sunrise,
+            sunset: sunTimes.sunset,
             moonrise: moonData.moonrise,
             moonset: moonData.moonset,
-            transit: moonData.transit
+            transit: moonData.transit,
+            opposite: moonData.opposite,
+            alwaysUp: moonData.alwaysUp,
+            alwaysDown: moonData.alwaysDown
         };
     }
 
-    // Simplified moon position calculation
+    // Find moonrise, moonset and upper/lower transit for the location's day containing `date`
     calculateMoonPosition(date, latitude, longitude) {
-        const day = this.daysSinceJ2000(date);
-        
-        // Simplified lunar calculations (based on mean anomaly)
-        const meanAnomaly = (134.963 + 13.064993 * day) % 360;
-        const meanLongitude = (218.316 + 13.176396 * day) % 360;
-        
-        // Calculate moon transit time (when it crosses the meridian)
-        // This is a simplification - real calculations are more complex
-        const transitHour = ((meanLongitude - longitude) / 15 + 12) % 24;
-        
-        // Moonrise is approximately 50 minutes earlier than transit
-        const moonriseHour = (transitHour - 0.83 + 24) % 24;
-        
-        // Moonset is approximately 50 minutes after transit
-        const moonsetHour = (transitHour + 0.83) % 24;
-        
-        // Calculate opposite (when moon is underfoot) - 12 hours from transit
-        const oppositeHour = (transitHour + 12) % 24;
-        
+        const dayStart = this.zone.startOfDay(date);
+        const dayEnd = this.zone.addDays(date, 1); // 23 or 25 hours away across a DST change
+
+        const cacheKey = `${dayStart.getTime()}|${latitude.toFixed(3)}|${longitude.toFixed(3)}`;
+        if (this.moonEventCache.has(cacheKey)) {
+            return this.moonEventCache.get(cacheKey);
+        }
+
+        // Sample the moon every hour across the day, then refine each crossing
+        const samples = [];
+        for (let ms = dayStart.getTime(); ms <= dayEnd.getTime(); ms += 3600000) {
+            const time = new Date(ms);
+            samples.push({ time, ...this.getMoonHorizontal(time, latitude, longitude) });
+        }
+
+        const events = {
+            transit: null,
+            opposite: null,
+            moonrise: null,
+            moonset: null,
+            alwaysUp: false,
+            alwaysDown: false
+        };
+
+        // Altitude relative to the rise/set altitude (parallax, refraction, semi-diameter)
+        const horizonOffset = sample => sample.altitude - sample.horizon;
+        // Hour angle offsets, continuous around upper (0°) and lower (180°) transit
+        const upperOffset = sample => sample.hourAngle;
+        const lowerOffset = sample => this.normalizeDegrees(sample.hourAngle - 180);
+
+        for (let i = 1; i < samples.length; i++) {
+            const prev = samples[i - 1];
+            const next = samples[i];
+
+            if (!events.moonrise && horizonOffset(prev) < 0 && horizonOffset(next) >= 0) {
+                events.moonrise = this.refineCrossing(prev.time, next.time, horizonOffset, latitude, longitude);
+            }
+            if (!events.moonset && horizonOffset(prev) >= 0 && horizonOffset(next) < 0) {
+                events.moonset = this.refineCrossing(prev.time, next.time, horizonOffset, latitude, longitude);
+            }
+            if (!events.transit && this.crossesZero(upperOffset(prev), upperOffset(next))) {
+                events.transit = this.refineCrossing(prev.time, next.time, upperOffset, latitude, longitude);
+            }
+            if (!events.opposite && this.crossesZero(lowerOffset(prev), lowerOffset(next))) {
+                events.opposite = this.refineCrossing(prev.time, next.time, lowerOffset, latitude, longitude);
+            }
+        }
+
+        // No rise or set: the moon stays on one side of the horizon all day
+        if (!events.moonrise && !events.moonset) {
+            events.alwaysUp = horizonOffset(samples[0]) >= 0;
+            events.alwaysDown = !events.alwaysUp;
+        }
+
+        if (this.moonEventCache.size > 200) {
+            this.moonEventCache.clear();
+        }
+        this.moonEventCache.set(cacheKey, events);
+
+        return events;
+    }
+
+    // True when an angle offset changes sign without wrapping through ±180°
+    crossesZero(prev, next) {
+        return prev < 0 && next >= 0 && next - prev < 90;
+    }
+
+    // Bisect a sign change of `offsetFn` between two times (to under a minute)
+    refineCrossing(startTime, endTime, offsetFn, latitude, longitude) {
+        let lo = startTime.getTime();
+        let hi = endTime.getTime();
+        const loSign = Math.sign(offsetFn(this.getMoonHorizontal(startTime, latitude, longitude)));
+
+        while (hi - lo > 30000) {
+            const mid = (lo + hi) / 2;
+            const midValue = offsetFn(this.getMoonHorizontal(new Date(mid), latitude, longitude));
+            if (Math.sign(midValue) === loSign) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+
+        const result = new Date((lo + hi) / 2);
+        result.setSeconds(0, 0);
+        return result;
+    }
+
+    // Moon altitude and hour angle for an observer, plus the altitude at which it rises/sets
+    getMoonHorizontal(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const moon = this.getMoonEquatorial(date);
+        const hourAngle = this.normalizeDegrees(this.getLocalSiderealTime(date, longitude) - moon.rightAscension);
+
+        const sinAltitude = Math.sin(latitude * rad) * Math.sin(moon.declination * rad) +
+            Math.cos(latitude * rad) * Math.cos(moon.declination * rad) * Math.cos(hourAngle * rad);
+
         return {
-            transit: this.createTimeString(date, transitHour),
-            opposite: this.createTimeString(date, oppositeHour),
-            moonrise: this.createTimeString(date, moonriseHour),
-            moonset: this.createTimeString(date, moonsetHour)
+            altitude: Math.asin(sinAltitude) / rad,
+            hourAngle: hourAngle,
+            // Standard lunar rise/set altitude: 0.7275 × parallax − 34' refraction
+            horizon: 0.7275 * moon.parallax - 0.5667
         };
     }
 
-    // Create a time string for a given hour on a date
-    createTimeString(date, hour) {
-        const newDate = new Date(date);
-        newDate.setHours(Math.floor(hour));
-        newDate.setMinutes(Math.round((hour % 1) * 60));
-        newDate.setSeconds(0);
-        return newDate;
+    // Geocentric moon right ascension/declination (degrees) from a truncated
+    // Meeus lunar theory - good to a few arcminutes, i.e. a few minutes of time
+    getMoonEquatorial(date) {
+        const rad = Math.PI / 180;
+        const T = this.daysSinceJ2000(date) / 36525; // Julian centuries since J2000
+
+        const meanLongitude = 218.3164477 + 481267.88123421 * T;
+        const elongation = (297.8501921 + 445267.1114034 * T) * rad;
+        const sunAnomaly = (357.5291092 + 35999.0502909 * T) * rad;
+        const moonAnomaly = (134.9633964 + 477198.8675055 * T) * rad;
+        const latitudeArg = (93.2720950 + 483202.0175233 * T) * rad;
+        const D = elongation, M = sunAnomaly, Mp = moonAnomaly, F = latitudeArg;
+
+        // Largest periodic terms in ecliptic longitude, latitude and distance
+        const longitude = meanLongitude +
+            6.288774 * Math.sin(Mp) +
+            1.274027 * Math.sin(2 * D - Mp) +
+            0.658314 * Math.sin(2 * D) +
+            0.213618 * Math.sin(2 * Mp) -
+            0.185116 * Math.sin(M) -
+            0.114332 * Math.sin(2 * F) +
+            0.058793 * Math.sin(2 * D - 2 * Mp) +
+            0.057066 * Math.sin(2 * D - M - Mp) +
+            0.053322 * Math.sin(2 * D + Mp) +
+            0.045758 * Math.sin(2 * D - M) -
+            0.040923 * Math.sin(M - Mp) -
+            0.034720 * Math.sin(D) -
+            0.030383 * Math.sin(M + Mp);
+
+        const eclipticLatitude =
+            5.128122 * Math.sin(F) +
+            0.280602 * Math.sin(Mp + F) +
+            0.277693 * Math.sin(Mp - F) +
+            0.173237 * Math.sin(2 * D - F) +
+            0.055413 * Math.sin(2 * D - Mp + F) +
+            0.046271 * Math.sin(2 * D - Mp - F);
+
+        const distanceKm = 385000.56 -
+            20905.355 * Math.cos(Mp) -
+            3699.111 * Math.cos(2 * D - Mp) -
+            2955.968 * Math.cos(2 * D) -
+            569.925 * Math.cos(2 * Mp);
+
+        // Ecliptic -> equatorial
+        const obliquity = (23.439291 - 0.0130042 * T) * rad;
+        const lambda = longitude * rad;
+        const beta = eclipticLatitude * rad;
+
+        const rightAscension = Math.atan2(
+            Math.sin(lambda) * Math.cos(obliquity) - Math.tan(beta) * Math.sin(obliquity),
+            Math.cos(lambda)
+        ) / rad;
+        const declination = Math.asin(
+            Math.sin(beta) * Math.cos(obliquity) + Math.cos(beta) * Math.sin(obliquity) * Math.sin(lambda)
+        ) / rad;
+
+        return {
+            rightAscension: this.normalizeDegrees(rightAscension),
+            declination: declination,
+            parallax: Math.asin(6378.14 / distanceKm) / rad
+        };
+    }
+
+    // Local mean sidereal time in degrees (east longitude positive)
+    getLocalSiderealTime(date, longitude) {
+        const d = this.daysSinceJ2000(date);
+        return this.normalizeDegrees(280.46061837 + 360.98564736629 * d + longitude);
+    }
+
+    // Wrap an angle into the range -180..180 degrees
+    normalizeDegrees(angle) {
+        const wrapped = ((angle % 360) + 360) % 360;
+        return wrapped > 180 ? wrapped - 360 : wrapped;
+    }
+
+    // Annotate a period with its dawn/dusk overlap, prime flag and overlap-aware score
+    applySunOverlap(period, sunTimes) {
+        const windowMs = this.twilightWindowMinutes * 60000;
+        const durationMinutes = (period.end - period.start) / 60000;
+
+        period.overlapMinutes = 0;
+        period.overlapWith = null;
+
+        [
+            { name: 'sunrise', time: sunTimes.sunrise },
+            { name: 'sunset', time: sunTimes.sunset }
+        ].forEach(({ name, time }) => {
+            if (!time) return;
+            const start = Math.max(period.start.getTime(), time.getTime() - windowMs);
+            const end = Math.min(period.end.getTime(), time.getTime() + windowMs);
+            const minutes = Math.max(0, (end - start) / 60000);
+            if (minutes > period.overlapMinutes) {
+                period.overlapMinutes = Math.round(minutes);
+                period.overlapWith = name;
+            }
+        });
+
+        period.prime = period.overlapMinutes >= this.primeOverlapMinutes;
+        // Full overlap doubles the period's bonus
+        period.score = this.periodBonus[period.type] * (1 + period.overlapMinutes / durationMinutes);
+        return period;
     }
 
     // Get major period (2-3 hours around the time)
@@ -143,15 +336,29 @@ class SolunarCalculator {
     // Format period time for display
     formatPeriodTime(period) {
         const options = { hour: 'numeric', minute: '2-digit', hour12: true };
-        const startStr = period.start.toLocaleTimeString('en-US', options);
-        const endStr = period.end.toLocaleTimeString('en-US', options);
+        const startStr = this.zone.formatTime(period.start, options);
+        const endStr = this.zone.formatTime(period.end, options);
         return `${startStr} - ${endStr}`;
     }
 
-    // Get solunar rating (0-100) based on moon phase and current period
-    getSolunarRating(date, latitude, longitude) {
+    // All solunar periods from the day before through the day after `date`
+    // (a period centred just after midnight starts on the previous day)
+    getPeriodsAround(date, latitude, longitude) {
+        const periods = [];
+        [-1, 0, 1].forEach(offset => {
+            const day = this.zone.addDays(date, offset);
+            const dayPeriods = this.getSolunarPeriods(day, latitude, longitude).periods;
+            Object.values(dayPeriods).forEach(period => {
+                if (period) periods.push(period);
+            });
+        });
+        return periods;
+    }
+
+    // Solunar state at a moment: rating (0-100) plus the period we're in, if any
+    getSolunarState(date, latitude, longitude) {
         const moonPhase = this.getMoonPhase(date);
-        const periods = this.getSolunarPeriods(date, latitude, longitude);
+        const periods = this.getPeriodsAround(date, latitude, longitude);
         
         let rating = 50; // Base rating
         
@@ -159,38 +366,46 @@ class SolunarCalculator {
         const phaseInfluence = Math.abs(moonPhase.phase - 0.5);
         rating += (0.5 - phaseInfluence) * 40; // +20 for new/full moon, 0 for quarters
         
-        // Check if we're in a solunar period
-        const now = date;
-        let inMajor = false;
-        let inMinor = false;
-        
-        // Check all periods
-        Object.values(periods.periods).forEach(period => {
-            if (this.isInPeriod(now, period)) {
-                if (period.type === 'major') {
-                    inMajor = true;
-                } else {
-                    inMinor = true;
-                }
+        // Find the strongest period we're in - majors beat minors, and a period
+        // overlapping sunrise/sunset beats one in the middle of the day
+        let activePeriod = null;
+        periods.forEach(period => {
+            if (this.isInPeriod(date, period) && (!activePeriod || period.score > activePeriod.score)) {
+                activePeriod = period;
             }
         });
         
-        // Add bonus for being in a period
-        if (inMajor) rating += 30;
-        else if (inMinor) rating += 15;
+        // Add the period's overlap-aware bonus
+        if (activePeriod) rating += activePeriod.score;
         
-        return Math.min(100, Math.max(0, rating));
+        return {
+            rating: Math.min(100, Math.max(0, rating)),
+            activePeriod: activePeriod,
+            prime: !!(activePeriod && activePeriod.prime)
+        };
+    }
+
+    // Get solunar rating (0-100) based on moon phase and current period
+    getSolunarRating(date, latitude, longitude) {
+        return this.getSolunarState(date, latitude, longitude).rating;
     }
 
     // Get daily solunar quality (average for the day)
     getDailySolunarQuality(date, latitude, longitude) {
         const moonPhase = this.getMoonPhase(date);
-        const periods = this.getSolunarPeriods(date, latitude, longitude);
         
         // Base quality on moon phase
         let quality = 50;
         const phaseInfluence = Math.abs(moonPhase.phase - 0.5);
         quality += (0.5 - phaseInfluence) * 50; // Better during new/full moon
+
+        // Periods lining up with dawn or dusk make for a better day
+        const periods = this.getSolunarPeriods(date, latitude, longitude).periods;
+        Object.values(periods).forEach(period => {
+            if (period && period.prime) {
+                quality += period.type === 'major' ? 8 : 4;
+            }
+        });
         
         return Math.min(100, Math.max(0, quality));
     }
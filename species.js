@@ -0,0 +1,394 @@
+// Species Profiles Module
+// Species-specific preferences used by the scorer: temperature curve, pressure
+// preference, wind and precipitation tolerance, factor weights (incl. solunar),
+// for fish, water temperature, flow and turbidity preferences, and the seasonal
+// phase model (rut or spawn) that shifts them through the year
+//
+// Weights are relative - factors that don't apply (e.g. no front nearby) drop out
+// and the remaining weights are rescaled
+//
+// These are the defaults - the user's scoring settings (config.js) override them
+
+class SpeciesProfiles {
+    constructor() {
+        this.defaultId = 'general';
+        this.settings = {}; // Per-profile overrides from ScoringConfig
+
+        // Score bands are checked in order - the first band containing the value wins
+        this.profiles = {
+            general: {
+                id: 'general',
+                name: 'All Species',
+                emoji: '🎯',
+                activity: 'both',
+                weights: { temperature: 0.20, pressure: 0.25, weather: 0.20, wind: 0.15, solunar: 0.20, front: 0.15 },
+                temperature: {
+                    // Overlap of deer (40-60°F) and fish (50-70°F) comfort ranges
+                    bands: [
+                        { min: 45, max: 65, score: 100 },
+                        { min: 35, max: 75, score: 85 },
+                        { min: 25, max: 85, score: 65 },
+                        { min: 15, max: 95, score: 40 }
+                    ],
+                    fallback: 20
+                },
+                pressure: {
+                    bands: [
+                        { min: 1020, max: 1030, score: 100 },
+                        { min: 1015, max: 1035, score: 85 },
+                        { min: 1010, max: 1040, score: 70 },
+                        { min: 1005, max: 1045, score: 50 },
+                        { min: 1000, max: 1050, score: 35 }
+                    ],
+                    fallback: 20,
+                    risingBonus: 20,
+                    fallingBonus: 10,
+                    fallingBonusAbove: 1015
+                },
+                wind: {
+                    bands: [
+                        { min: 5, max: 12, score: 100 },
+                        { min: 0, max: 5, score: 85 },
+                        { min: 12, max: 18, score: 70 },
+                        { min: 18, max: 25, score: 45 },
+                        { min: 25, max: 35, score: 25 }
+                    ],
+                    fallback: 10
+                },
+                // 0 = rain scores as-is, 1 = rain is no penalty at all
+                precipitationTolerance: 0
+            },
+
+            whitetail: {
+                id: 'whitetail',
+                name: 'Whitetail Deer',
+                emoji: '🦌',
+                activity: 'hunt',
+                phaseModel: 'rut', // Rut phases shift the profile (phases.js)
+                weights: { temperature: 0.25, pressure: 0.25, weather: 0.15, wind: 0.15, solunar: 0.20, front: 0.15 },
+                temperature: {
+                    // Deer move most on cold mornings; heat shuts daylight movement down
+                    bands: [
+                        { min: 30, max: 55, score: 100 },
+                        { min: 20, max: 65, score: 85 },
+                        { min: 10, max: 75, score: 60 },
+                        { min: 0, max: 85, score: 35 }
+                    ],
+                    fallback: 15
+                },
+                pressure: {
+                    bands: [
+                        { min: 1020, max: 1032, score: 100 },
+                        { min: 1015, max: 1036, score: 85 },
+                        { min: 1010, max: 1040, score: 70 },
+                        { min: 1005, max: 1045, score: 50 },
+                        { min: 1000, max: 1050, score: 35 }
+                    ],
+                    fallback: 20,
+                    risingBonus: 20,
+                    fallingBonus: 10,
+                    fallingBonusAbove: 1015
+                },
+                wind: {
+                    bands: [
+                        { min: 4, max: 12, score: 100 },
+                        { min: 0, max: 4, score: 80 },
+                        { min: 12, max: 18, score: 65 },
+                        { min: 18, max: 25, score: 35 },
+                        { min: 25, max: 35, score: 15 }
+                    ],
+                    fallback: 5
+                },
+                precipitationTolerance: 0.25
+            },
+
+            turkey: {
+                id: 'turkey',
+                name: 'Wild Turkey',
+                emoji: '🦃',
+                activity: 'hunt',
+                // Calm, dry mornings carry gobbles; moon position matters little
+                weights: { temperature: 0.15, pressure: 0.20, weather: 0.25, wind: 0.30, solunar: 0.10, front: 0.10 },
+                temperature: {
+                    bands: [
+                        { min: 45, max: 70, score: 100 },
+                        { min: 35, max: 80, score: 80 },
+                        { min: 25, max: 88, score: 55 },
+                        { min: 15, max: 95, score: 35 }
+                    ],
+                    fallback: 15
+                },
+                pressure: {
+                    bands: [
+                        { min: 1018, max: 1030, score: 100 },
+                        { min: 1013, max: 1035, score: 85 },
+                        { min: 1008, max: 1040, score: 70 },
+                        { min: 1003, max: 1045, score: 50 },
+                        { min: 998, max: 1050, score: 35 }
+                    ],
+                    fallback: 20,
+                    risingBonus: 15,
+                    fallingBonus: 5,
+                    fallingBonusAbove: 1015
+                },
+                wind: {
+                    bands: [
+                        { min: 0, max: 6, score: 100 },
+                        { min: 6, max: 10, score: 85 },
+                        { min: 10, max: 15, score: 60 },
+                        { min: 15, max: 22, score: 30 },
+                        { min: 22, max: 35, score: 15 }
+                    ],
+                    fallback: 5
+                },
+                precipitationTolerance: 0
+            },
+
+            bass: {
+                id: 'bass',
+                name: 'Largemouth Bass',
+                emoji: '🐟',
+                activity: 'fish',
+                phaseModel: 'spawn',
+                spawnPeak: { month: 5, day: 15 }, // Peak spawn at 40°N (phases.js shifts it by latitude)
+                weights: { temperature: 0.25, pressure: 0.25, weather: 0.15, wind: 0.15, solunar: 0.20, front: 0.20, water: 0.20 },
+                temperature: {
+                    bands: [
+                        { min: 60, max: 78, score: 100 },
+                        { min: 52, max: 85, score: 85 },
+                        { min: 45, max: 90, score: 60 },
+                        { min: 38, max: 95, score: 35 }
+                    ],
+                    fallback: 15
+                },
+                pressure: {
+                    // Bass feed hardest on stable-to-falling pressure ahead of a front
+                    bands: [
+                        { min: 1010, max: 1022, score: 100 },
+                        { min: 1005, max: 1027, score: 85 },
+                        { min: 1000, max: 1032, score: 70 },
+                        { min: 995, max: 1037, score: 50 },
+                        { min: 990, max: 1045, score: 35 }
+                    ],
+                    fallback: 20,
+                    risingBonus: 5,
+                    fallingBonus: 20,
+                    fallingBonusAbove: 1005
+                },
+                wind: {
+                    // A light chop breaks up the surface and positions bait
+                    bands: [
+                        { min: 5, max: 15, score: 100 },
+                        { min: 0, max: 5, score: 80 },
+                        { min: 15, max: 20, score: 65 },
+                        { min: 20, max: 27, score: 40 },
+                        { min: 27, max: 35, score: 20 }
+                    ],
+                    fallback: 5
+                },
+                precipitationTolerance: 0.4,
+                water: {
+                    // Largemouth feed hardest in warm water; a sudden rise muddies the shallows
+                    temperature: {
+                        bands: [
+                            { min: 65, max: 80, score: 100 },
+                            { min: 58, max: 85, score: 85 },
+                            { min: 50, max: 88, score: 60 },
+                            { min: 45, max: 92, score: 35 }
+                        ],
+                        fallback: 15
+                    },
+                    flow: { rising: 60, stable: 90, falling: 75 },
+                    turbidityPenalty: { low: 0, moderate: 15, high: 35 }
+                }
+            },
+
+            crappie: {
+                id: 'crappie',
+                name: 'Crappie',
+                emoji: '🐠',
+                activity: 'fish',
+                phaseModel: 'spawn',
+                spawnPeak: { month: 4, day: 28 },
+                weights: { temperature: 0.25, pressure: 0.25, weather: 0.15, wind: 0.15, solunar: 0.20, front: 0.15, water: 0.15 },
+                temperature: {
+                    bands: [
+                        { min: 55, max: 72, score: 100 },
+                        { min: 48, max: 80, score: 85 },
+                        { min: 40, max: 86, score: 60 },
+                        { min: 32, max: 92, score: 35 }
+                    ],
+                    fallback: 15
+                },
+                pressure: {
+                    bands: [
+                        { min: 1015, max: 1027, score: 100 },
+                        { min: 1010, max: 1032, score: 85 },
+                        { min: 1005, max: 1037, score: 70 },
+                        { min: 1000, max: 1042, score: 50 },
+                        { min: 995, max: 1050, score: 35 }
+                    ],
+                    fallback: 20,
+                    risingBonus: 15,
+                    fallingBonus: 10,
+                    fallingBonusAbove: 1012
+                },
+                wind: {
+                    // Light jigs and slip bobbers need calm water
+                    bands: [
+                        { min: 0, max: 8, score: 100 },
+                        { min: 8, max: 12, score: 80 },
+                        { min: 12, max: 18, score: 55 },
+                        { min: 18, max: 25, score: 30 },
+                        { min: 25, max: 35, score: 15 }
+                    ],
+                    fallback: 5
+                },
+                precipitationTolerance: 0.3,
+                water: {
+                    // Crappie school up in the 60s; muddy, rising water scatters them
+                    temperature: {
+                        bands: [
+                            { min: 60, max: 72, score: 100 },
+                            { min: 52, max: 78, score: 85 },
+                            { min: 45, max: 82, score: 60 },
+                            { min: 38, max: 88, score: 35 }
+                        ],
+                        fallback: 15
+                    },
+                    flow: { rising: 50, stable: 90, falling: 70 },
+                    turbidityPenalty: { low: 0, moderate: 20, high: 40 }
+                }
+            },
+
+            catfish: {
+                id: 'catfish',
+                name: 'Catfish',
+                emoji: '🐡',
+                activity: 'fish',
+                phaseModel: 'spawn',
+                spawnPeak: { month: 6, day: 20 },
+                weights: { temperature: 0.25, pressure: 0.15, weather: 0.20, wind: 0.10, solunar: 0.30, front: 0.15, water: 0.20 },
+                temperature: {
+                    bands: [
+                        { min: 70, max: 88, score: 100 },
+                        { min: 60, max: 92, score: 85 },
+                        { min: 50, max: 96, score: 60 },
+                        { min: 40, max: 100, score: 35 }
+                    ],
+                    fallback: 15
+                },
+                pressure: {
+                    bands: [
+                        { min: 1012, max: 1028, score: 100 },
+                        { min: 1007, max: 1033, score: 85 },
+                        { min: 1002, max: 1038, score: 70 },
+                        { min: 997, max: 1043, score: 50 },
+                        { min: 992, max: 1050, score: 35 }
+                    ],
+                    fallback: 20,
+                    risingBonus: 5,
+                    fallingBonus: 15,
+                    fallingBonusAbove: 1005
+                },
+                wind: {
+                    bands: [
+                        { min: 0, max: 12, score: 100 },
+                        { min: 12, max: 18, score: 80 },
+                        { min: 18, max: 25, score: 55 },
+                        { min: 25, max: 35, score: 30 }
+                    ],
+                    fallback: 10
+                },
+                // Rain washes food into rising, stained water - cats feed through it
+                precipitationTolerance: 0.7,
+                water: {
+                    // Catfish feed by smell - rising, stained water after rain turns them on
+                    temperature: {
+                        bands: [
+                            { min: 70, max: 85, score: 100 },
+                            { min: 60, max: 90, score: 85 },
+                            { min: 50, max: 93, score: 60 },
+                            { min: 40, max: 96, score: 35 }
+                        ],
+                        fallback: 15
+                    },
+                    flow: { rising: 100, stable: 75, falling: 65 },
+                    turbidityPenalty: { low: 0, moderate: 0, high: 10 }
+                }
+            },
+
+            trout: {
+                id: 'trout',
+                name: 'Trout',
+                emoji: '🎣',
+                activity: 'fish',
+                phaseModel: 'spawn',
+                spawnPeak: { month: 3, day: 25 }, // Rainbows; stocked fish rarely spawn successfully
+                weights: { temperature: 0.30, pressure: 0.20, weather: 0.20, wind: 0.10, solunar: 0.20, front: 0.15, water: 0.25 },
+                temperature: {
+                    bands: [
+                        { min: 45, max: 62, score: 100 },
+                        { min: 38, max: 68, score: 85 },
+                        { min: 32, max: 74, score: 55 },
+                        { min: 25, max: 80, score: 30 }
+                    ],
+                    fallback: 10
+                },
+                pressure: {
+                    bands: [
+                        { min: 1015, max: 1027, score: 100 },
+                        { min: 1010, max: 1032, score: 85 },
+                        { min: 1005, max: 1037, score: 70 },
+                        { min: 1000, max: 1042, score: 50 },
+                        { min: 995, max: 1050, score: 35 }
+                    ],
+                    fallback: 20,
+                    risingBonus: 10,
+                    fallingBonus: 10,
+                    fallingBonusAbove: 1010
+                },
+                wind: {
+                    bands: [
+                        { min: 0, max: 10, score: 100 },
+                        { min: 10, max: 15, score: 80 },
+                        { min: 15, max: 22, score: 55 },
+                        { min: 22, max: 30, score: 30 }
+                    ],
+                    fallback: 10
+                },
+                precipitationTolerance: 0.5,
+                water: {
+                    // Trout need cold water and clear, steady flows
+                    temperature: {
+                        bands: [
+                            { min: 50, max: 62, score: 100 },
+                            { min: 45, max: 66, score: 85 },
+                            { min: 40, max: 70, score: 60 },
+                            { min: 34, max: 74, score: 30 }
+                        ],
+                        fallback: 5
+                    },
+                    flow: { rising: 50, stable: 90, falling: 80 },
+                    turbidityPenalty: { low: 0, moderate: 25, high: 50 }
+                }
+            }
+        };
+    }
+
+    // Use the user's weights, bands and tolerances in place of the defaults
+    applyConfig(settings) {
+        this.settings = settings || {};
+    }
+
+    // Get a profile by id (falls back to the blended profile), with the user's settings applied
+    getProfile(id) {
+        const profile = this.profiles[id] || this.profiles[this.defaultId];
+        return { ...profile, ...this.settings[profile.id] };
+    }
+
+    // Get all profiles in display order
+    getAllProfiles() {
+        return Object.keys(this.profiles).map(id => this.getProfile(id));
+    }
+}
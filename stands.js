@@ -0,0 +1,101 @@
+// Stand Planner Module
+// Saved stands and fishing spots with a "good wind" arc, stored in localStorage
+
+class StandPlanner {
+    constructor() {
+        this.storageKey = 'huntfish.stands';
+        this.activeKey = 'huntfish.activeStand';
+        this.compassPoints = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE',
+            'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        this.arcTolerance = 11.25; // Half a compass point either side of the arc
+
+        this.stands = this.loadStands();
+        this.activeStandId = localStorage.getItem(this.activeKey) || null;
+    }
+
+    // Read saved stands from localStorage
+    loadStands() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error reading saved stands:', error);
+            return [];
+        }
+    }
+
+    saveStands() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.stands));
+    }
+
+    getStands() {
+        return this.stands;
+    }
+
+    // Add a stand or spot; windFrom/windTo are degrees the wind blows FROM (clockwise arc)
+    addStand(name, windFrom, windTo, kind) {
+        const stand = {
+            id: `stand-${Date.now()}`,
+            name: name,
+            windFrom: windFrom,
+            windTo: windTo,
+            kind: kind === 'spot' ? 'spot' : 'stand'
+        };
+        this.stands.push(stand);
+        this.saveStands();
+        return stand;
+    }
+
+    removeStand(id) {
+        this.stands = this.stands.filter(stand => stand.id !== id);
+        if (this.activeStandId === id) {
+            this.setActiveStand(null);
+        }
+        this.saveStands();
+    }
+
+    // The stand scores are planned around (null = speed-only wind scoring)
+    getActiveStand() {
+        return this.stands.find(stand => stand.id === this.activeStandId) || null;
+    }
+
+    setActiveStand(id) {
+        this.activeStandId = id;
+        if (id) {
+            localStorage.setItem(this.activeKey, id);
+        } else {
+            localStorage.removeItem(this.activeKey);
+        }
+    }
+
+    // Is the wind direction inside the stand's good-wind arc?
+    isWindGood(stand, windDirection) {
+        if (windDirection === null || windDirection === undefined) {
+            return true; // No direction data - don't penalise
+        }
+
+        const arc = (stand.windTo - stand.windFrom + 360) % 360;
+        const offset = (windDirection - stand.windFrom + this.arcTolerance + 360) % 360;
+        return offset <= arc + 2 * this.arcTolerance;
+    }
+
+    // Stands that can be hunted/fished with the wind at a given hour
+    getHuntableStands(windDirection) {
+        return this.stands.filter(stand => this.isWindGood(stand, windDirection));
+    }
+
+    // Convert degrees to a 16-point compass name
+    toCompass(degrees) {
+        const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+        return this.compassPoints[index];
+    }
+
+    // Compass point -> degrees
+    fromCompass(point) {
+        return this.compassPoints.indexOf(point) * 22.5;
+    }
+
+    // "NW–N"
+    formatArc(stand) {
+        return `${this.toCompass(stand.windFrom)}–${this.toCompass(stand.windTo)}`;
+    }
+}
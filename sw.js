@@ -0,0 +1,95 @@
+// Service Worker
+// Caches the app shell so the page opens with no signal. Forecast responses are not
+// cached here - the app keeps the last forecast per location in IndexedDB (db.js)
+
+const CACHE_NAME = 'huntfish-shell-v16';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'db.js',
+    'journal.js',
+    'locations.js',
+    'species.js',
+    'config.js',
+    'calibration.js',
+    'stands.js',
+    'timezones.js',
+    'solar.js',
+    'solunar.js',
+    'fronts.js',
+    'providers.js',
+    'weather.js',
+    'geocoder.js',
+    'water.js',
+    'seasons.js',
+    'phases.js',
+    'data/seasons.json',
+    'scoring.js',
+    'backtest.js',
+    'planner.js',
+    'alerts.js',
+    'ensemble.js',
+    'map.js',
+    'urlstate.js',
+    'app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop shells from older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Shell files by path, without any query (the page's own query holds the view state)
+const SHELL_URLS = new Set(APP_SHELL.map(path => new URL(path, self.registration.scope).href));
+
+// Shell files: serve the cached copy straight away (one bar of signal shouldn't stall
+// the page) and refresh the cache in the background for the next visit.
+// Everything else goes straight to the network - including API calls to the fixture
+// server, which shares the app's origin and answers differently for every query
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    const shellUrl = `${url.origin}${url.pathname}`;
+    if (event.request.method !== 'GET' || !SHELL_URLS.has(shellUrl)) {
+        return;
+    }
+
+    event.respondWith(
+        caches.match(shellUrl).then(cached => {
+            const network = fetch(event.request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(shellUrl, copy));
+                    }
+                    return response;
+                })
+                .catch(() => cached);
+
+            return cached || network;
+        })
+    );
+});
+
+// Tapping an alert notification brings the app forward (or opens it)
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window' }).then(windows => {
+            return windows.length ? windows[0].focus() : self.clients.openWindow('./');
+        })
+    );
+});
@@ -0,0 +1,153 @@
+// Time Zone Module
+// Calendar math in a location's IANA time zone, whatever zone the browser is set to.
+// Forecasts give zone-less local times ("2026-10-19T14:00"); these helpers turn them into
+// real instants, find day boundaries and hours of the day, and format times for the location
+
+class ZonedTime {
+    constructor(timeZone) {
+        this.setTimeZone(timeZone);
+    }
+
+    // IANA zone name, e.g. "America/New_York" (unknown or missing names use the browser's zone)
+    setTimeZone(timeZone) {
+        const zone = this.isValidZone(timeZone) ? timeZone : Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (zone === this.timeZone) return;
+
+        this.timeZone = zone;
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23'
+        });
+        this.offsetCache = new Map();
+    }
+
+    isValidZone(timeZone) {
+        if (!timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Minutes the zone is ahead of UTC at an instant (Eastern Daylight Time: -240).
+    // Offsets only change on a quarter hour, so they're cached per 15 minutes
+    getOffset(date) {
+        const key = Math.floor(date.getTime() / 900000);
+        if (!this.offsetCache.has(key)) {
+            const parts = {};
+            this.formatter.formatToParts(new Date(key * 900000)).forEach(part => {
+                parts[part.type] = Number(part.value);
+            });
+            const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute);
+            this.offsetCache.set(key, Math.round((wallClock - key * 900000) / 60000));
+        }
+        return this.offsetCache.get(key);
+    }
+
+    // Wall-clock fields of an instant in the zone: { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }
+    getParts(date) {
+        const local = new Date(date.getTime() + this.getOffset(date) * 60000);
+        return {
+            year: local.getUTCFullYear(),
+            month: local.getUTCMonth() + 1,
+            day: local.getUTCDate(),
+            hour: local.getUTCHours(),
+            minute: local.getUTCMinutes(),
+            weekday: local.getUTCDay()
+        };
+    }
+
+    // Instant of a wall-clock time in the zone. Out-of-range fields roll over (day 32 is the
+    // 1st of next month); a time skipped by a DST change moves forward past the gap, and a
+    // time that happens twice takes the first
+    fromParts(year, month, day, hour = 0, minute = 0) {
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        // The offsets a day either side cover any DST change in between
+        const before = this.getOffset(new Date(wallClock - 86400000));
+        const after = this.getOffset(new Date(wallClock + 86400000));
+        const matches = [before, after]
+            .map(offset => wallClock - offset * 60000)
+            .filter(time => this.getOffset(new Date(time)) * 60000 === wallClock - time);
+        return new Date(matches.length ? Math.min(...matches) : wallClock - before * 60000);
+    }
+
+    // Instant for a zone-less local time ("2026-10-19T14:00") or day ("2026-10-19", midnight)
+    parse(localTime) {
+        const [date, time = '00:00'] = localTime.split('T');
+        const [year, month, day] = date.split('-').map(Number);
+        const [hour, minute] = time.split(':').map(Number);
+        return this.fromParts(year, month, day, hour, minute);
+    }
+
+    // Instant for a stored or imported timestamp: one ending in "Z" or an offset is exact, a
+    // zone-less one ("2025-10-02T07:00") is wall-clock time in the zone. Invalid Date otherwise
+    parseTimestamp(text) {
+        const value = String(text || '').trim();
+        if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+            return new Date(value);
+        }
+        if (/^\d{4}-\d{2}-\d{2}(T\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?)?$/.test(value)) {
+            return this.parse(value);
+        }
+        return new Date(NaN);
+    }
+
+    // "2026-10-19" for the day an instant falls on
+    dayKey(date) {
+        const parts = this.getParts(date);
+        return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+    }
+
+    isSameDay(a, b) {
+        return this.dayKey(a) === this.dayKey(b);
+    }
+
+    // Midnight starting the day an instant falls on
+    startOfDay(date) {
+        const parts = this.getParts(date);
+        return this.fromParts(parts.year, parts.month, parts.day);
+    }
+
+    // Midnight `days` calendar days after the day an instant falls on (a day across a DST
+    // change is 23 or 25 hours long, so this isn't always 24-hour steps)
+    addDays(date, days) {
+        const parts = this.getParts(date);
+        return this.fromParts(parts.year, parts.month, parts.day + days);
+    }
+
+    // Start of the hour an instant falls in
+    startOfHour(date) {
+        const parts = this.getParts(date);
+        return this.fromParts(parts.year, parts.month, parts.day, parts.hour);
+    }
+
+    // A given wall-clock time on the day an instant falls on
+    atTime(date, hour, minute = 0) {
+        const parts = this.getParts(date);
+        return this.fromParts(parts.year, parts.month, parts.day, hour, minute);
+    }
+
+    getHours(date) {
+        return this.getParts(date).hour;
+    }
+
+    // Day of the week (0 = Sunday)
+    getDay(date) {
+        return this.getParts(date).weekday;
+    }
+
+    // toLocaleTimeString / toLocaleDateString / toLocaleString in the zone
+    formatTime(date, options) {
+        return date.toLocaleTimeString('en-US', { ...options, timeZone: this.timeZone });
+    }
+
+    formatDate(date, options) {
+        return date.toLocaleDateString('en-US', { ...options, timeZone: this.timeZone });
+    }
+
+    format(date, options) {
+        return date.toLocaleString('en-US', { ...options, timeZone: this.timeZone });
+    }
+}
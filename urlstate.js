@@ -0,0 +1,100 @@
+// URL State Module
+// The view as a shareable link: location, species, expanded day and the chosen settings in
+// the query string, e.g. ?lat=39.5070&lon=-84.0530&name=Caesar+Creek&species=whitetail&day=2026-10-24.
+// Location changes add a browser history entry so back/forward move between locations;
+// everything else replaces the current entry
+
+class UrlState {
+    constructor() {
+        // Params that aren't view state and are carried over unchanged (?api= for the fixture server)
+        this.keep = ['api'];
+    }
+
+    // View state from a query string. Anything missing or malformed is left undefined so the
+    // app keeps its own value:
+    // { location: { name, latitude, longitude }, species, day, provider, ensemble, seasonFilter,
+    //   gauge, planner: { hours, minScore, weekdaysOnly, evening } }
+    read(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const latitude = parseFloat(params.get('lat'));
+        const longitude = parseFloat(params.get('lon'));
+        const validPoint = Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+
+        return {
+            location: validPoint ? { name: params.get('name') || '', latitude: latitude, longitude: longitude } : undefined,
+            species: params.get('species') || undefined,
+            day: /^\d{4}-\d{2}-\d{2}$/.test(params.get('day') || '') ? params.get('day') : undefined,
+            provider: params.get('source') || undefined,
+            ensemble: this.readFlag(params, 'blend'),
+            seasonFilter: this.readFlag(params, 'inseason'),
+            gauge: params.has('gauge') ? params.get('gauge') : undefined,
+            planner: {
+                hours: this.readNumber(params, 'trip'),
+                minScore: this.readNumber(params, 'min'),
+                weekdaysOnly: this.readFlag(params, 'weekdays'),
+                evening: this.readFlag(params, 'evening')
+            }
+        };
+    }
+
+    // '1' / '0' to true / false
+    readFlag(params, name) {
+        if (!params.has(name)) return undefined;
+        return params.get(name) === '1';
+    }
+
+    readNumber(params, name) {
+        const value = parseInt(params.get(name), 10);
+        return Number.isFinite(value) ? value : undefined;
+    }
+
+    // Full link for a state (same shape as `read` returns), on the page's own address
+    toUrl(state) {
+        const current = new URLSearchParams(window.location.search);
+        const params = new URLSearchParams();
+
+        params.set('lat', state.location.latitude.toFixed(4));
+        params.set('lon', state.location.longitude.toFixed(4));
+        params.set('name', state.location.name);
+        params.set('species', state.species);
+        if (state.day) {
+            params.set('day', state.day);
+        }
+        params.set('source', state.provider);
+        params.set('blend', state.ensemble ? '1' : '0');
+        params.set('inseason', state.seasonFilter ? '1' : '0');
+        if (state.gauge) {
+            params.set('gauge', state.gauge);
+        }
+        params.set('trip', String(state.planner.hours));
+        params.set('min', String(state.planner.minScore));
+        params.set('weekdays', state.planner.weekdaysOnly ? '1' : '0');
+        params.set('evening', state.planner.evening ? '1' : '0');
+
+        this.keep.forEach(name => {
+            if (current.has(name)) {
+                params.set(name, current.get(name));
+            }
+        });
+
+        // Not `origin`, which is "null" when the page is opened from a file
+        return `${window.location.href.split(/[?#]/)[0]}?${params}${window.location.hash}`;
+    }
+
+    // Put a state in the address bar; push = a new history entry (a location change).
+    // Some browsers refuse for pages opened from a file - the share link still works
+    write(state, push = false) {
+        const url = this.toUrl(state);
+        if (url === window.location.href) return;
+
+        try {
+            if (push) {
+                history.pushState(null, '', url);
+            } else {
+                history.replaceState(null, '', url);
+            }
+        } catch (error) {
+            console.error('Error updating the address bar:', error);
+        }
+    }
+}
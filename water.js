@@ -0,0 +1,238 @@
+// Water Conditions Module
+// Gauge height, discharge and water temperature from USGS Water Services
+// (instantaneous values, JSON), plus flow trend and turbidity risk for fishing
+
+class WaterAPI {
+    // options: { baseUrl } to point at another server (e.g. dev/fixture-server.js)
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'https://waterservices.usgs.gov/nwis/iv/';
+        this.requestTimeoutMs = 15000;
+        this.period = 'P2D'; // Enough history for 6 and 24 hour changes
+
+        // USGS parameter codes
+        this.parameters = {
+            discharge: '00060',       // ft³/s
+            gaugeHeight: '00065',     // ft
+            waterTemperature: '00010' // °C
+        };
+
+        // Gauges offered in the picker; "nearest" searches this far around the location
+        this.gauges = [
+            { id: '03274000', name: 'Great Miami River at Hamilton' },
+            { id: '03270500', name: 'Great Miami River at Dayton' },
+            { id: '03245500', name: 'Little Miami River at Milford' },
+            { id: '03255000', name: 'Ohio River at Cincinnati' },
+            { id: '03231500', name: 'Scioto River at Chillicothe' }
+        ];
+        this.searchRadiusDegrees = 0.5;
+
+        // Flow counts as rising/falling past these changes over `trendHours`. Discharge is
+        // compared in percent; lakes and pools only report level, compared in feet
+        this.trendHours = 6;
+        this.trendThresholds = { discharge: 10, gaugeHeight: 0.25 };
+
+        // Turbidity risk from the last day's rain (inches) and rise in flow (percent / feet)
+        this.rainHours = 24;
+        this.turbidityThresholds = {
+            rain: { moderate: 0.25, high: 0.75 },
+            discharge: { moderate: 25, high: 100 },
+            gaugeHeight: { moderate: 0.5, high: 2 }
+        };
+    }
+
+    // Latest water conditions at a gauge (gaugeId), or the nearest gauge when none is given.
+    // hourly: processed weather hours, for the rain behind the turbidity risk
+    async getWaterData(latitude, longitude, gaugeId, hourly) {
+        const params = new URLSearchParams({
+            format: 'json',
+            parameterCd: Object.values(this.parameters).join(','),
+            period: this.period,
+            siteStatus: 'active'
+        });
+        if (gaugeId) {
+            params.set('sites', gaugeId);
+        } else {
+            const r = this.searchRadiusDegrees;
+            params.set('bBox', [longitude - r, latitude - r, longitude + r, latitude + r].map(value => value.toFixed(4)).join(','));
+        }
+
+        const data = await this.fetchJson(`${this.baseUrl}?${params}`);
+        const water = this.processWaterData(data, latitude, longitude, gaugeId);
+        water.turbidity = this.assessTurbidity(water, this.getRecentRain(hourly || [], water.readingTime));
+        return water;
+    }
+
+    async fetchJson(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`Water request failed (${response.status})`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Pick a gauge from an instantaneous-values response and summarise its readings
+    processWaterData(data, latitude, longitude, gaugeId) {
+        const sites = this.groupBySite((data.value && data.value.timeSeries) || []);
+        const candidates = Object.values(sites)
+            .filter(site => (gaugeId ? site.id === gaugeId : site.discharge || site.gaugeHeight))
+            .map(site => ({ ...site, distanceMiles: this.distanceMiles(latitude, longitude, site.latitude, site.longitude) }))
+            .sort((a, b) => a.distanceMiles - b.distanceMiles);
+
+        const site = candidates[0];
+        if (!site) {
+            throw new Error(gaugeId ? `No recent readings from gauge ${gaugeId}` : 'No stream gauge near this location');
+        }
+
+        const readings = ['discharge', 'gaugeHeight', 'waterTemperature']
+            .map(name => site[name])
+            .filter(Boolean);
+
+        return {
+            site: {
+                id: site.id,
+                name: site.name,
+                latitude: site.latitude,
+                longitude: site.longitude,
+                distanceMiles: site.distanceMiles
+            },
+            discharge: site.discharge ? this.latest(site.discharge) : null,
+            gaugeHeight: site.gaugeHeight ? this.latest(site.gaugeHeight) : null,
+            waterTemperature: site.waterTemperature ? this.toFahrenheit(this.latest(site.waterTemperature)) : null,
+            flow: this.getFlowTrend(site),
+            readingTime: new Date(Math.max(...readings.map(series => series[series.length - 1].time.getTime())))
+        };
+    }
+
+    // { siteId: { id, name, latitude, longitude, discharge: [{ time, value }], ... } }
+    groupBySite(timeSeries) {
+        const names = {};
+        Object.keys(this.parameters).forEach(name => {
+            names[this.parameters[name]] = name;
+        });
+
+        const sites = {};
+        timeSeries.forEach(series => {
+            const info = series.sourceInfo;
+            const id = info.siteCode[0].value;
+            const name = names[series.variable.variableCode[0].value];
+            if (!name) return;
+
+            const noData = series.variable.noDataValue;
+            const values = (series.values[0] ? series.values[0].value : [])
+                .map(item => ({ time: new Date(item.dateTime), value: Number(item.value) }))
+                .filter(item => Number.isFinite(item.value) && item.value !== noData && !isNaN(item.time))
+                .sort((a, b) => a.time - b.time);
+            if (values.length === 0) return;
+
+            if (!sites[id]) {
+                const location = info.geoLocation.geogLocation;
+                sites[id] = { id, name: this.formatSiteName(info.siteName), latitude: location.latitude, longitude: location.longitude };
+            }
+            sites[id][name] = values;
+        });
+        return sites;
+    }
+
+    // Most recent reading: { value, time }
+    latest(series) {
+        return series[series.length - 1];
+    }
+
+    // Reading closest to `hours` before the latest one
+    valueHoursBefore(series, hours) {
+        const target = this.latest(series).time.getTime() - hours * 3600000;
+        return series.reduce((best, item) => {
+            return Math.abs(item.time - target) < Math.abs(best.time - target) ? item : best;
+        });
+    }
+
+    // Rising, falling or stable over the last few hours (discharge when the gauge has it, else level)
+    getFlowTrend(site) {
+        const basis = site.discharge ? 'discharge' : site.gaugeHeight ? 'gaugeHeight' : null;
+        if (!basis) return null;
+
+        const series = site[basis];
+        const change = this.getChange(series, this.trendHours, basis);
+        const threshold = this.trendThresholds[basis];
+        return {
+            basis: basis,
+            trend: change >= threshold ? 'rising' : change <= -threshold ? 'falling' : 'stable',
+            change: change,
+            dayChange: this.getChange(series, 24, basis)
+        };
+    }
+
+    // Change over `hours`: percent for discharge, feet for gauge height
+    getChange(series, hours, basis) {
+        const now = this.latest(series).value;
+        const before = this.valueHoursBefore(series, hours).value;
+        if (basis === 'discharge') {
+            return before > 0 ? (now - before) / before * 100 : 0;
+        }
+        return now - before;
+    }
+
+    // Rain (inches) over the `rainHours` before a moment
+    getRecentRain(hourly, time) {
+        const end = (time || new Date()).getTime();
+        const start = end - this.rainHours * 3600000;
+        return hourly
+            .filter(hour => hour.time.getTime() > start && hour.time.getTime() <= end)
+            .reduce((sum, hour) => sum + (hour.precipitation || 0), 0);
+    }
+
+    // Muddy-water risk: heavy recent rain or a sharp rise in flow
+    assessTurbidity(water, rain) {
+        const levels = ['low', 'moderate', 'high'];
+        const rate = (value, thresholds) => (value >= thresholds.high ? 2 : value >= thresholds.moderate ? 1 : 0);
+
+        const fromRain = rate(rain, this.turbidityThresholds.rain);
+        const fromFlow = water.flow ? rate(water.flow.dayChange, this.turbidityThresholds[water.flow.basis]) : 0;
+        return { risk: levels[Math.max(fromRain, fromFlow)], rain: Math.round(rain * 100) / 100 };
+    }
+
+    // "GREAT MIAMI RIVER AT HAMILTON OH" -> "Great Miami River at Hamilton OH"
+    formatSiteName(name) {
+        const small = ['AT', 'NR', 'NEAR', 'AB', 'ABOVE', 'BL', 'BELOW'];
+        const words = name.trim().split(/\s+/);
+        return words.map((word, i) => {
+            if (i === words.length - 1 && word.length === 2) return word; // State
+            if (small.includes(word)) return word.toLowerCase();
+            return word[0] + word.slice(1).toLowerCase();
+        }).join(' ');
+    }
+
+    toFahrenheit(reading) {
+        return { ...reading, value: Math.round((reading.value * 9 / 5 + 32) * 10) / 10 };
+    }
+
+    // Great-circle distance in miles
+    distanceMiles(lat1, lon1, lat2, lon2) {
+        const rad = Math.PI / 180;
+        const dLat = (lat2 - lat1) * rad;
+        const dLon = (lon2 - lon1) * rad;
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+        return 3958.8 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    // One-line summary, e.g. "Great Miami River at Hamilton OH: 3,450 ft³/s, rising (+18% in 6h)"
+    describe(water) {
+        const parts = [];
+        if (water.discharge) parts.push(`${Math.round(water.discharge.value).toLocaleString('en-US')} ft³/s`);
+        if (water.gaugeHeight) parts.push(`${water.gaugeHeight.value.toFixed(2)} ft`);
+        if (water.waterTemperature) parts.push(`${water.waterTemperature.value}°F water`);
+        if (water.flow) {
+            const sign = water.flow.change > 0 ? '+' : '';
+            const unit = water.flow.basis === 'discharge' ? '%' : ' ft';
+            const change = water.flow.basis === 'discharge' ? Math.round(water.flow.change) : water.flow.change.toFixed(2);
+            parts.push(`${water.flow.trend} (${sign}${change}${unit} in ${this.trendHours}h)`);
+        }
+        return `${water.site.name}: ${parts.join(', ')}`;
+    }
+}
@@ -1,149 +1,318 @@
 // Weather API Module
-// Using Open-Meteo API (free, no API key required) for weather data
+// Forecasts from a choice of weather providers (providers.js), with fallback to the next
+// provider when one fails and to the stored forecast when offline. Providers return
+// normalised series; this module adds pressure tendencies, daily hours and fronts
 
 class WeatherAPI {
-    constructor() {
-        this.baseUrl = 'https://api.open-meteo.com/v1/forecast';
-        this.geocodingUrl = 'https://geocoding-api.open-meteo.com/v1/search';
+    // options: { baseUrl, archiveUrl, nwsUrl, fixtureUrl } to point at another
+    // server (e.g. dev/fixture-server.js); provider: id of the primary provider
+    constructor(options = {}) {
+        this.pastDays = 1; // Yesterday's hours give pressure tendencies a history to look back on
+        this.tendencyWindows = [1, 3, 6, 12]; // Hours
+        this.frontDetector = new FrontDetector();
+        this.db = new HuntFishDB(); // Last forecast per location, for use offline
+        this.requestTimeoutMs = 15000; // Give up on a weak signal and try the next source
+
+        const openMeteo = new OpenMeteoProvider({ baseUrl: options.baseUrl, archiveUrl: options.archiveUrl, requestTimeoutMs: this.requestTimeoutMs });
+        this.providers = {
+            'open-meteo': openMeteo,
+            nws: new NWSProvider({ baseUrl: options.nwsUrl, requestTimeoutMs: this.requestTimeoutMs }),
+            fixture: new FixtureProvider({ url: options.fixtureUrl }, { 'open-meteo': openMeteo })
+        };
+        // Live sources tried in turn when the primary fails (a recording is never a fallback)
+        this.fallbackOrder = ['open-meteo', 'nws'];
+        this.providerId = this.providers[options.provider] ? options.provider : 'open-meteo';
     }
 
-    // Get coordinates for a city name
-    async getCoordinates(cityName) {
-        try {
-            const response = await fetch(`${this.geocodingUrl}?name=${encodeURIComponent(cityName)}&count=1&language=en&format=json`);
-            const data = await response.json();
-            
-            if (!data.results || data.results.length === 0) {
-                throw new Error('City not found');
+    setProvider(id) {
+        if (this.providers[id]) {
+            this.providerId = id;
+        }
+    }
+
+    // Primary provider first, then the fallbacks
+    getProviderOrder() {
+        if (!this.fallbackOrder.includes(this.providerId)) {
+            return [this.providerId];
+        }
+        return [this.providerId, ...this.fallbackOrder.filter(id => id !== this.providerId)];
+    }
+
+    // Get current weather and forecast data from the first provider that answers.
+    // Falls back to the last stored forecast when none do - `offline` and `fetchedAt` on the
+    // result say how old the data is, `provider` where it came from and `fallback` whether
+    // the primary provider failed
+    async getWeatherData(latitude, longitude) {
+        const order = this.getProviderOrder();
+        let lastError;
+
+        for (const id of order) {
+            try {
+                const data = await this.providers[id].fetchForecast(latitude, longitude, this.pastDays);
+                this.db.saveForecast(latitude, longitude, data)
+                    .catch(error => console.error('Error caching forecast:', error));
+                return { ...this.processWeatherData(data), offline: false, fetchedAt: new Date(), provider: id, fallback: id !== order[0] };
+            } catch (error) {
+                console.error(`Error fetching weather data from ${this.providers[id].name}:`, error);
+                lastError = error;
             }
-            
-            return {
-                latitude: data.results[0].latitude,
-                longitude: data.results[0].longitude,
-                name: data.results[0].name,
-                state: data.results[0].admin1 || ''
-            };
+        }
+
+        const cached = await this.db.getForecast(latitude, longitude).catch(() => null);
+        if (!cached) {
+            throw lastError;
+        }
+        // Forecasts stored before providers existed are raw Open-Meteo responses
+        const data = cached.data.source ? cached.data : this.providers['open-meteo'].normalize(cached.data, this.pastDays);
+        const provider = this.providers[data.source] ? data.source : order[0];
+        return { ...this.processWeatherData(data), offline: true, fetchedAt: new Date(cached.fetchedAt), provider: provider, fallback: false };
+    }
+
+    // Display name of a provider
+    getProviderName(id) {
+        return this.providers[id] ? this.providers[id].name : id;
+    }
+
+    // Hourly forecasts from several Open-Meteo models, to score side by side for confidence
+    // bands: [{ model, name, hourly }] with pressure tendencies and fronts like the forecast.
+    // Hours a model doesn't cover (e.g. HRRR past 48 hours) are left out
+    async getModelForecasts(latitude, longitude) {
+        try {
+            const members = await this.providers['open-meteo'].fetchModels(latitude, longitude, this.pastDays);
+            return members.map(member => {
+                const series = member.data.hourly;
+                const covered = series.time.map((time, i) => series.temperature[i] !== null && series.temperature[i] !== undefined);
+                const trimmed = {};
+                Object.keys(series).forEach(name => {
+                    trimmed[name] = series[name].filter((value, i) => covered[i]);
+                });
+
+                const hourly = this.processHourlyData(trimmed, new ZonedTime(member.data.timezone));
+                const fronts = this.frontDetector.detectFronts(hourly);
+                hourly.forEach(hour => {
+                    hour.front = this.frontDetector.getFrontalPhase(hour.time, fronts);
+                });
+                return { model: member.model, name: member.name, hourly: hourly };
+            }).filter(member => member.hourly.length > 0);
         } catch (error) {
-            console.error('Error getting coordinates:', error);
+            console.error('Error fetching model forecasts:', error);
             throw error;
         }
     }
 
-    // Get current weather and forecast data
-    async getWeatherData(latitude, longitude) {
-        try {
-            const params = new URLSearchParams({
-                latitude: latitude,
-                longitude: longitude,
-                current: 'temperature_2m,relative_humidity_2m,apparent_temperature,precipitation,weather_code,surface_pressure,wind_speed_10m,wind_direction_10m',
-                hourly: 'temperature_2m,relative_humidity_2m,precipitation_probability,precipitation,weather_code,surface_pressure,wind_speed_10m,cloud_cover',
-                daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
-                temperature_unit: 'fahrenheit',
-                wind_speed_unit: 'mph',
-                precipitation_unit: 'inch',
-                timezone: 'America/New_York',
-                forecast_days: 7
-            });
+    // Historical weather for a past date range (YYYY-MM-DD, inclusive) from the Open-Meteo
+    // archive (the only source with one), processed like the forecast: hourly, daily and
+    // fronts, without current conditions. The archive runs a few days behind today
+    async getHistoricalData(latitude, longitude, startDate, endDate) {
+        // Start a day early so the first day's pressure tendencies have hours to look back on
+        const leadIn = new Date(new Date(`${startDate}T00:00:00Z`).getTime() - this.pastDays * 86400000);
 
-            const response = await fetch(`${this.baseUrl}?${params}`);
-            const data = await response.json();
-            
-            return this.processWeatherData(data);
+        try {
+            const data = await this.providers['open-meteo'].fetchHistory(
+                latitude, longitude, leadIn.toISOString().slice(0, 10), endDate, this.pastDays
+            );
+            return { ...this.processSeries(data), timezone: data.timezone };
         } catch (error) {
-            console.error('Error fetching weather data:', error);
+            console.error('Error fetching historical weather:', error);
             throw error;
         }
     }
 
-    // Process and format weather data
+    // Hourly and daily series with pressure swings and fronts (shared by forecast and archive).
+    // The first `pastDays` days are lead-in: their hours stay, their daily entries are dropped
+    processSeries(data) {
+        const zone = new ZonedTime(data.timezone);
+        const hourly = this.processHourlyData(data.hourly, zone);
+        const daily = this.processDailyData(data.daily, zone);
+        this.addDailyPressure(daily, data.daily.time, hourly, data.hourly.time);
+        daily.splice(0, data.pastDays || 0);
+
+        // Label pre-frontal, frontal and post-frontal periods
+        const fronts = this.frontDetector.detectFronts(hourly);
+        hourly.forEach(hour => {
+            hour.front = this.frontDetector.getFrontalPhase(hour.time, fronts);
+        });
+        daily.forEach(day => {
+            day.fronts = this.frontDetector.getFrontsForDay(day.date, zone.addDays(day.date, 1), fronts);
+        });
+
+        return { hourly, daily, fronts };
+    }
+
+    // Process a normalised forecast (see providers.js)
     processWeatherData(data) {
         const current = {
-            temperature: Math.round(data.current.temperature_2m),
-            feelsLike: Math.round(data.current.apparent_temperature),
-            humidity: data.current.relative_humidity_2m,
+            temperature: Math.round(data.current.temperature),
+            feelsLike: Math.round(data.current.feelsLike),
+            humidity: data.current.humidity,
             precipitation: data.current.precipitation,
-            weatherCode: data.current.weather_code,
-            weatherDescription: this.getWeatherDescription(data.current.weather_code),
-            pressure: data.current.surface_pressure,
-            windSpeed: Math.round(data.current.wind_speed_10m),
-            windDirection: data.current.wind_direction_10m,
-            time: new Date(data.current.time)
+            weatherCode: data.current.weatherCode,
+            weatherDescription: this.getWeatherDescription(data.current.weatherCode),
+            pressure: data.current.pressure,
+            windSpeed: this.roundReading(data.current.windSpeed),
+            windDirection: data.current.windDirection,
+            windGust: this.roundReading(data.current.windGust),
+            time: new ZonedTime(data.timezone).parse(data.current.time)
         };
 
-        const hourly = this.processHourlyData(data.hourly);
-        const daily = this.processDailyData(data.daily);
+        // Daily data starts with the past days we asked for - the forecast starts today
+        const { hourly, daily, fronts } = this.processSeries(data);
+        current.front = this.frontDetector.getFrontalPhase(current.time, fronts);
 
-        // Calculate pressure trend (comparing current hour with 3 hours ago)
-        const pressureTrend = this.calculatePressureTrend(data.hourly.surface_pressure);
+        // Calculate pressure trend from the current hour back through the past hours
+        const currentIndex = this.findCurrentHourIndex(data.hourly.time, data.current.time);
+        const pressureTrend = this.calculatePressureTrend(data.hourly.pressure, currentIndex);
 
         return {
             current: { ...current, pressureTrend },
             hourly,
             daily,
+            fronts,
             timezone: data.timezone
         };
     }
 
-    // Process hourly forecast data
-    processHourlyData(hourly) {
+    // Process hourly forecast data; its zone-less times are read in `zone`, the forecast's
+    // time zone (a ZonedTime)
+    processHourlyData(hourly, zone) {
         const hours = [];
-        const now = new Date();
         
         for (let i = 0; i < hourly.time.length; i++) {
-            const time = new Date(hourly.time[i]);
+            const time = zone.parse(hourly.time[i]);
             
             hours.push({
                 time: time,
-                temperature: Math.round(hourly.temperature_2m[i]),
-                humidity: hourly.relative_humidity_2m[i],
-                precipitationProb: hourly.precipitation_probability[i] || 0,
+                temperature: Math.round(hourly.temperature[i]),
+                humidity: hourly.humidity[i],
+                precipitationProb: hourly.precipitationProb[i] || 0,
                 precipitation: hourly.precipitation[i] || 0,
-                weatherCode: hourly.weather_code[i],
-                weatherDescription: this.getWeatherDescription(hourly.weather_code[i]),
-                pressure: hourly.surface_pressure[i],
-                windSpeed: Math.round(hourly.wind_speed_10m[i]),
-                cloudCover: hourly.cloud_cover[i]
+                weatherCode: hourly.weatherCode[i],
+                weatherDescription: this.getWeatherDescription(hourly.weatherCode[i]),
+                pressure: hourly.pressure[i],
+                pressureTrend: this.calculatePressureTrend(hourly.pressure, i),
+                windSpeed: this.roundReading(hourly.windSpeed[i]),
+                windDirection: hourly.windDirection[i],
+                windGust: this.roundReading(hourly.windGust[i]),
+                cloudCover: hourly.cloudCover[i]
             });
         }
         
         return hours;
     }
 
-    // Process daily forecast data
-    processDailyData(daily) {
+    // Whole-number reading, keeping a missing one (null) missing rather than 0
+    roundReading(value) {
+        return value === null || value === undefined ? null : Math.round(value);
+    }
+
+    // Process daily forecast data (days start at midnight in `zone`)
+    processDailyData(daily, zone) {
         const days = [];
         
         for (let i = 0; i < daily.time.length; i++) {
             days.push({
-                date: new Date(daily.time[i]),
-                weatherCode: daily.weather_code[i],
-                weatherDescription: this.getWeatherDescription(daily.weather_code[i]),
-                tempMax: Math.round(daily.temperature_2m_max[i]),
-                tempMin: Math.round(daily.temperature_2m_min[i]),
-                precipitationSum: daily.precipitation_sum[i] || 0,
-                precipitationProb: daily.precipitation_probability_max[i] || 0,
-                windSpeedMax: Math.round(daily.wind_speed_10m_max[i])
+                date: zone.parse(daily.time[i]), // Midnight at the location, like the hourly times
+                weatherCode: daily.weatherCode[i],
+                weatherDescription: this.getWeatherDescription(daily.weatherCode[i]),
+                tempMax: Math.round(daily.tempMax[i]),
+                tempMin: Math.round(daily.tempMin[i]),
+                precipitationSum: daily.precipitationSum[i] || 0,
+                precipitationProb: daily.precipitationProb[i] || 0,
+                windSpeedMax: Math.round(daily.windSpeedMax[i])
             });
         }
         
         return days;
     }
 
-    // Calculate pressure trend (rising, falling, or steady)
-    calculatePressureTrend(pressureArray) {
-        if (!pressureArray || pressureArray.length < 4) {
-            return { trend: 'steady', change: 0 };
+    // Attach each day's hours and pressure swing (min/max/mean and change over the day)
+    addDailyPressure(days, dayKeys, hours, hourKeys) {
+        days.forEach((day, d) => {
+            day.hours = hours.filter((hour, i) => hourKeys[i].slice(0, 10) === dayKeys[d]);
+
+            const pressures = day.hours.map(hour => hour.pressure).filter(p => p !== null && p !== undefined);
+            if (pressures.length === 0) {
+                day.pressureSwing = null;
+                return;
+            }
+
+            const change = pressures[pressures.length - 1] - pressures[0];
+            day.pressureSwing = {
+                min: Math.min(...pressures),
+                max: Math.max(...pressures),
+                mean: pressures.reduce((sum, p) => sum + p, 0) / pressures.length,
+                change: change,
+                ...this.classifyPressureTendency(change, Math.max(1, pressures.length - 1))
+            };
+        });
+    }
+
+    // Find the hourly index for the current observation time
+    // (both are zone-less ISO strings in the same timezone, so they compare as text)
+    findCurrentHourIndex(hourlyTimes, currentTime) {
+        const hourKey = currentTime.slice(0, 13);
+        const exact = hourlyTimes.findIndex(time => time.slice(0, 13) === hourKey);
+        if (exact !== -1) {
+            return exact;
+        }
+
+        // Fall back to the last hour at or before the current time
+        let index = 0;
+        hourlyTimes.forEach((time, i) => {
+            if (time <= currentTime) index = i;
+        });
+        return index;
+    }
+
+    // Calculate pressure trend (rising, falling, or steady) at an hourly index,
+    // with tendencies over 1, 3, 6 and 12 hours
+    calculatePressureTrend(pressureArray, index) {
+        // Sources without a pressure forecast
+        if (!pressureArray || index === undefined || pressureArray[index] === null || pressureArray[index] === undefined) {
+            return { trend: 'steady', change: 0, category: 'No pressure data', rate3h: 0, tendencies: {} };
         }
 
-        const current = pressureArray[0];
-        const threeHoursAgo = pressureArray[3];
-        const change = current - threeHoursAgo;
+        const tendencies = {};
+        this.tendencyWindows.forEach(hours => {
+            const past = pressureArray[index - hours];
+            if (index - hours < 0 || past === null || past === undefined) return;
+            const change = pressureArray[index] - past;
+            tendencies[hours] = { change, ...this.classifyPressureTendency(change, hours) };
+        });
+
+        // The 3-hour tendency is the standard barometric reference. The first hours of the
+        // series have none yet - say so rather than calling them steady
+        const threeHour = tendencies[3];
+        if (!threeHour) {
+            return { trend: 'unknown', change: null, category: 'Insufficient history', rate3h: null, tendencies };
+        }
 
         let trend = 'steady';
-        if (change > 1.5) trend = 'rising';
-        else if (change < -1.5) trend = 'falling';
+        if (threeHour.change > 1.5) trend = 'rising';
+        else if (threeHour.change < -1.5) trend = 'falling';
+
+        return {
+            trend,
+            change: threeHour.change,
+            category: threeHour.label,
+            rate3h: threeHour.rate3h,
+            tendencies
+        };
+    }
+
+    // Classify a pressure change using the standard 3-hour tendency categories
+    // (steady < 0.1, slowly 0.1-1.5, plain 1.6-3.5, quickly 3.6-6.0, very rapidly > 6.0 hPa/3h)
+    classifyPressureTendency(change, hours) {
+        const rate3h = change * 3 / hours;
+        const magnitude = Math.abs(rate3h);
+        const direction = rate3h > 0 ? 'rising' : 'falling';
+        const label = direction === 'rising' ? 'Rising' : 'Falling';
 
-        return { trend, change: change.toFixed(2) };
+        if (magnitude < 0.1) return { rate3h, direction: 'steady', speed: 'steady', label: 'Steady' };
+        if (magnitude <= 1.5) return { rate3h, direction, speed: 'slowly', label: `${label} slowly` };
+        if (magnitude <= 3.5) return { rate3h, direction, speed: 'normal', label };
+        if (magnitude <= 6.0) return { rate3h, direction, speed: 'quickly', label: `${label} quickly` };
+        return { rate3h, direction, speed: 'very rapidly', label: `${label} very rapidly` };
     }
 
     // Get weather description from WMO weather code